@@ -0,0 +1,157 @@
+'use strict'
+
+const fs = require('node:fs')
+const { X509Certificate, createPrivateKey } = require('node:crypto')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Certificates and keys come from a file path or inline PEM string, or from { path }, { pem }, { env } or
+// { base64 }. An environment variable holds either PEM or base64 encoded PEM
+function readPemSource (source, name) {
+  if (typeof source === 'string') {
+    return isPem(source) ? source : readPemFile(source, name)
+  }
+
+  if (source?.pem !== undefined) {
+    return source.pem
+  }
+
+  if (source?.path !== undefined) {
+    return readPemFile(source.path, name)
+  }
+
+  if (source?.env !== undefined) {
+    const value = process.env[source.env]
+    if (value === undefined || value === '') {
+      throw new Error(`${name} environment variable ${source.env} is not set`)
+    }
+    return isPem(value) ? value : decodeBase64Pem(value, `${name} environment variable ${source.env}`)
+  }
+
+  if (source?.base64 !== undefined) {
+    return decodeBase64Pem(source.base64, name)
+  }
+
+  throw new Error(`${name} must be a file path, a PEM string or one of { path }, { pem }, { env }, { base64 }`)
+}
+
+function isPem (value) {
+  return value.includes('-----BEGIN ')
+}
+
+function readPemFile (filePath, name) {
+  try {
+    return fs.readFileSync(filePath, 'utf8')
+  } catch (e) {
+    throw new Error(`Cannot read ${name} file ${filePath}: ${e.code ?? e.message}`)
+  }
+}
+
+function decodeBase64Pem (value, name) {
+  const decoded = Buffer.from(value, 'base64').toString('utf8')
+  if (!isPem(decoded)) {
+    throw new Error(`${name} is not base64 encoded PEM`)
+  }
+  return decoded
+}
+
+function parseCertificates (pem, name) {
+  const blocks = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) ?? []
+  if (blocks.length === 0) {
+    throw new Error(`${name} does not contain a PEM certificate`)
+  }
+
+  return blocks.map(block => {
+    try {
+      return new X509Certificate(block)
+    } catch (e) {
+      throw new Error(`${name} contains an invalid certificate: ${e.message}`)
+    }
+  })
+}
+
+// Reads the key and certificates and checks them the way Cloudflare would before anything is uploaded: the key
+// belongs to the client certificate, the client certificate chains to the CA certificate and every certificate is
+// valid now. Certificates expiring within minValidityDays are still usable and only come with a warning
+function loadTlsClientAuth ({ clientKey, clientCert, caCert, minValidityDays = 14 }, now = new Date()) {
+  const clientKeyPem = readPemSource(clientKey, 'clientKey')
+  const clientCertPem = readPemSource(clientCert, 'clientCert')
+  const caCertPem = readPemSource(caCert, 'caCert')
+
+  let privateKey
+  try {
+    privateKey = createPrivateKey(clientKeyPem)
+  } catch (e) {
+    throw new Error(`clientKey is not a valid private key: ${e.message}`)
+  }
+
+  const [certificate, ...intermediates] = parseCertificates(clientCertPem, 'clientCert')
+  const caCertificates = parseCertificates(caCertPem, 'caCert')
+
+  if (!certificate.checkPrivateKey(privateKey)) {
+    throw new Error(`clientKey does not match the client certificate ${certificateName(certificate)}`)
+  }
+
+  let issued = certificate
+  const chain = [certificate]
+  while (!caCertificates.some(ca => isIssuedBy(issued, ca))) {
+    const issuer = intermediates.find(intermediate => !chain.includes(intermediate) && isIssuedBy(issued, intermediate))
+    if (issuer === undefined) {
+      throw new Error(`Client certificate ${certificateName(certificate)} is not issued by the CA certificate ${certificateName(caCertificates[0])}`)
+    }
+    chain.push(issuer)
+    issued = issuer
+  }
+
+  const namedCertificates = [
+    ['Client certificate', certificate],
+    ...chain.slice(1).map(cert => ['Intermediate certificate', cert]),
+    ...caCertificates.map(cert => ['CA certificate', cert])
+  ]
+
+  const validUntil = new Date(now.getTime() + minValidityDays * DAY_MS)
+  const warnings = []
+  for (const [name, cert] of namedCertificates) {
+    if (new Date(cert.validFrom) > now) {
+      throw new Error(`${name} ${certificateName(cert)} is not valid before ${cert.validFrom}`)
+    }
+    if (new Date(cert.validTo) <= now) {
+      throw new Error(`${name} ${certificateName(cert)} expired on ${cert.validTo}`)
+    }
+    if (new Date(cert.validTo) <= validUntil) {
+      warnings.push(`${name} ${certificateName(cert)} expires on ${cert.validTo}, within ${minValidityDays} days`)
+    }
+  }
+
+  return { clientKey: clientKeyPem, clientCert: clientCertPem, caCert: caCertPem, certificate, caCertificates, warnings }
+}
+
+// Subjects have one attribute per line
+function certificateName (certificate) {
+  return certificate.subject.replaceAll('\n', ', ')
+}
+
+function isIssuedBy (certificate, issuer) {
+  return certificate.checkIssued(issuer) && certificate.verify(issuer.publicKey)
+}
+
+// What plans and reports show of a certificate, its PEM is left out
+function describeCertificate (certificate) {
+  return {
+    subject: certificateName(certificate),
+    issuer: certificate.issuer.replaceAll('\n', ', '),
+    validTo: certificate.validTo,
+    fingerprint256: certificate.fingerprint256
+  }
+}
+
+// Fingerprint of the first certificate in a PEM string, null when there is none that can be read
+function certificateFingerprint (pem) {
+  try {
+    return new X509Certificate(pem).fingerprint256
+  } catch {
+    return null
+  }
+}
+
+module.exports = { loadTlsClientAuth, describeCertificate, certificateFingerprint }
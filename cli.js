@@ -0,0 +1,352 @@
+#!/usr/bin/env node
+'use strict'
+
+const { parseArgs } = require('node:util')
+const YAML = require('yaml')
+const {
+  applyCloudflareSettings,
+  planCloudflareSettings,
+  exportCloudflareSettings,
+  restoreCloudflareSettings,
+  migratePageRules,
+  detectDrift,
+  validateConfig,
+  loadConfig,
+  resolveSiteConfigs
+} = require('./index')
+const { formatValidationErrors } = require('./validate')
+
+const USAGE = `Usage: cloudflare-provisioning <command> <config> [options]
+
+Commands:
+  apply       Apply the config to every selected zone
+  plan        Show the changes apply would make, without writing anything
+  validate    Validate the config without calling the Cloudflare API
+  drift       Compare every selected zone with the config and report drift
+  export      Read the live settings of every selected zone and print them as a config
+  restore     Re-apply a snapshot taken by apply, given in place of the config
+  migrate     Translate the page rules of the config into rulesets and print them
+  resolve     Print the effective config of every selected zone, with extends and variables resolved
+
+Config files can be JSON (.json), JavaScript (.js, .cjs, .mjs) or YAML (.yaml, .yml). A config can extend
+others with \`extends\`: a built-in profile name (template) or a config file path, or a list of them.
+
+Options:
+  --domain <name>             Only process this domain (repeatable)
+  --zone <id>                 Only process this zone ID (repeatable)
+  --json                      Print the result as JSON
+  --concurrency <n>           Number of zones processed in parallel (default 1)
+  --setting-concurrency <n>   Number of settings of a zone processed in parallel (default 1)
+  --format <type>             Output format of export, migrate and resolve: json (default) or yaml
+  --templatize                Replace the domain name with $DOMAIN in exported settings
+  --snapshot <file>           Where apply saves the zones before changing them
+                              (default cloudflare-snapshot-<timestamp>.json)
+  --rollback                  Restore the snapshot of a zone when applying to it failed
+  --apply                     Add the migrated rulesets to every selected zone
+  --remove-page-rules         With --apply, delete the page rules that were fully translated
+  -h, --help                  Show this help
+
+Credentials are read from CLOUDFLARE_TOKEN, or CLOUDFLARE_EMAIL and CLOUDFLARE_API_KEY.
+CLOUDFLARE_ACCOUNT_ID is used to look up and create zones of domains without a zoneId.
+DELAY_MS sets the minimum interval between API requests (default 500), MAX_RETRIES the retries
+of throttled or failed requests (default 3) and REQUEST_TIMEOUT_MS the request timeout (default 30000).
+
+Exit codes: 0 on success, 1 when a setting failed, 2 on usage errors,
+3 when drift detects a zone that differs from the config.`
+
+const commands = {
+  apply: runApply,
+  plan: runPlan,
+  validate: runValidate,
+  drift: runDrift,
+  export: runExport,
+  restore: runRestore,
+  migrate: runMigrate,
+  resolve: runResolve
+}
+
+async function main (argv) {
+  let args
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        domain: { type: 'string', multiple: true },
+        zone: { type: 'string', multiple: true },
+        json: { type: 'boolean', default: false },
+        concurrency: { type: 'string', default: '1' },
+        'setting-concurrency': { type: 'string', default: '1' },
+        format: { type: 'string', default: 'json' },
+        templatize: { type: 'boolean', default: false },
+        snapshot: { type: 'string' },
+        rollback: { type: 'boolean', default: false },
+        apply: { type: 'boolean', default: false },
+        'remove-page-rules': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    })
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`)
+    return 2
+  }
+
+  const { values: options, positionals } = args
+  const [command, configPath] = positionals
+
+  if (options.help) {
+    console.log(USAGE)
+    return 0
+  }
+
+  if (commands[command] === undefined || configPath === undefined) {
+    console.error(USAGE)
+    return 2
+  }
+
+  options.concurrency = parseInt(options.concurrency, 10)
+  options.settingConcurrency = parseInt(options['setting-concurrency'], 10)
+  if (!(options.concurrency >= 1) || !(options.settingConcurrency >= 1)) {
+    console.error(`--concurrency and --setting-concurrency must be positive numbers\n\n${USAGE}`)
+    return 2
+  }
+
+  const config = filterSites(await loadConfig(configPath), options)
+  return commands[command](config, options)
+}
+
+function filterSites (config, { domain: domains, zone: zoneIds }) {
+  if (domains === undefined && zoneIds === undefined) {
+    return config
+  }
+
+  const sites = (config.domains ?? []).filter(site => {
+    return (domains === undefined || domains.includes(site.domain)) &&
+      (zoneIds === undefined || zoneIds.includes(site.zoneId))
+  })
+
+  if (sites.length === 0) {
+    throw new Error('No domains in config match the --domain/--zone filters')
+  }
+
+  return { ...config, domains: sites }
+}
+
+async function runValidate (config, options) {
+  const errors = validateConfig(config)
+
+  if (options.json) {
+    console.log(JSON.stringify(errors, null, 2))
+  } else if (errors.length > 0) {
+    console.error(formatValidationErrors(errors))
+  } else {
+    console.log('Config is valid')
+  }
+
+  return errors.length > 0 ? 1 : 0
+}
+
+async function runPlan (config, options) {
+  const plan = await planCloudflareSettings(config, options)
+
+  if (options.json) {
+    console.log(JSON.stringify(plan, null, 2))
+  } else {
+    console.log(formatPlan(plan))
+  }
+
+  return plan.some(zonePlan => zonePlan.settings.some(setting => setting.error !== undefined)) ? 1 : 0
+}
+
+async function runApply (config, options) {
+  const snapshotPath = options.snapshot ?? `cloudflare-snapshot-${new Date().toISOString().replace(/[:.]/g, '-')}.json`
+  const report = await applyCloudflareSettings(config, { ...options, snapshotPath, rollbackOnFailure: options.rollback })
+  console.error(`Snapshot of the zones before the run: ${snapshotPath}`)
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2))
+  } else {
+    console.log(formatReport(report))
+  }
+
+  return report.status === 'failed' ? 1 : 0
+}
+
+async function runRestore (snapshot, options) {
+  const report = await restoreCloudflareSettings(snapshot, options)
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2))
+  } else {
+    console.log(formatReport(report))
+  }
+
+  return report.status === 'failed' ? 1 : 0
+}
+
+async function runDrift (config, options) {
+  const report = await detectDrift(config, options)
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2))
+  } else {
+    console.log(formatDrift(report))
+  }
+
+  if (report.failed) return 1
+  return report.drifted ? 3 : 0
+}
+
+async function runExport (config, options) {
+  assertOutputFormat(options.format)
+
+  const configs = await exportCloudflareSettings(config, options)
+  const output = configs.length === 1 ? configs[0] : configs
+
+  console.log(options.format === 'yaml' ? YAML.stringify(output) : JSON.stringify(output, null, 2))
+  return 0
+}
+
+async function runMigrate (config, options) {
+  assertOutputFormat(options.format)
+
+  const { rulesets, unsupported, report } = await migratePageRules(config, {
+    ...options,
+    removePageRules: options['remove-page-rules']
+  })
+
+  for (const { target, reason } of unsupported) {
+    console.error(`Cannot translate page rule ${target}: ${reason}`)
+  }
+
+  if (report === undefined) {
+    const output = { rulesets }
+    console.log(options.format === 'yaml' ? YAML.stringify(output) : JSON.stringify(output, null, 2))
+    return 0
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ rulesets, unsupported, report }, null, 2))
+  } else {
+    console.log(formatReport(report))
+  }
+
+  return report.status === 'failed' ? 1 : 0
+}
+
+async function runResolve (config, options) {
+  assertOutputFormat(options.format)
+
+  const siteConfigs = resolveSiteConfigs(config)
+  console.log(options.format === 'yaml' ? YAML.stringify(siteConfigs) : JSON.stringify(siteConfigs, null, 2))
+  return 0
+}
+
+function assertOutputFormat (format) {
+  if (format !== 'json' && format !== 'yaml') {
+    throw new Error(`Unsupported output format: ${format}`)
+  }
+}
+
+const planSymbols = { create: '+', update: '~', delete: '-', 'no-op': '=' }
+
+function formatPlan (plan) {
+  const lines = []
+
+  for (const zonePlan of plan) {
+    lines.push(`${zonePlan.domain} (${zonePlan.zoneId})`)
+
+    for (const setting of zonePlan.settings) {
+      if (setting.error !== undefined) {
+        lines.push(`  ! ${setting.setting}: ${setting.error}`)
+        continue
+      }
+
+      const changes = setting.changes.filter(change => change.action !== 'no-op')
+      if (changes.length === 0) {
+        lines.push(`  = ${setting.setting}: no changes`)
+        continue
+      }
+
+      lines.push(`  ${setting.setting}:`)
+      for (const change of changes) {
+        const values = change.action === 'update'
+          ? `${JSON.stringify(change.current)} -> ${JSON.stringify(change.desired)}`
+          : JSON.stringify(change.action === 'delete' ? change.current : change.desired)
+        lines.push(`    ${planSymbols[change.action]} ${change.action} ${change.target}: ${values}`)
+      }
+    }
+  }
+
+  return lines.join('\n')
+}
+
+function formatDrift (report) {
+  const lines = []
+
+  for (const siteReport of report.sites) {
+    lines.push(`${siteReport.domain} (${siteReport.zoneId}): ${siteReport.drifted ? 'drifted' : 'in sync'}`)
+
+    for (const { setting, error } of siteReport.errors) {
+      lines.push(`  ! ${setting}: ${error}`)
+    }
+
+    for (const { setting, target, kind, differences } of siteReport.drift) {
+      lines.push(`  ${setting} ${target}: ${kind}`)
+
+      if (kind === 'changed') {
+        for (const { path, current, desired } of differences) {
+          lines.push(`    ${path || target}: expected ${JSON.stringify(desired)}, found ${JSON.stringify(current)}`)
+        }
+      }
+    }
+  }
+
+  return lines.join('\n')
+}
+
+function formatReport (report) {
+  const lines = []
+
+  for (const siteReport of report.sites) {
+    lines.push(`${siteReport.domain} (${siteReport.zoneId}): ${siteReport.status} in ${siteReport.durationMs}ms`)
+
+    if (siteReport.zoneCreated) {
+      lines.push(`  created zone, name servers: ${siteReport.nameServers?.join(', ')}`)
+    }
+
+    lines.push(...formatSettingReports(siteReport.settings, '  '))
+
+    if (siteReport.rollback !== undefined) {
+      lines.push(`  rollback: ${siteReport.rollback.status}`)
+      lines.push(...formatSettingReports(siteReport.rollback.settings, '    '))
+    }
+  }
+
+  lines.push(report.status === 'failed' ? 'Some settings failed' : 'All settings applied')
+  return lines.join('\n')
+}
+
+function formatSettingReports (settingReports, indent) {
+  const lines = []
+
+  for (const settingReport of settingReports) {
+    const failedItems = (settingReport.items ?? []).filter(item => item.status === 'failed')
+    const counts = settingReport.items !== undefined ? ` (${settingReport.changed} changed, ${settingReport.unchanged} unchanged)` : ''
+    lines.push(`${indent}${settingReport.status === 'ok' ? 'ok' : 'FAILED'} ${settingReport.setting}${counts}${settingReport.error ? `: ${settingReport.error}` : ''}`)
+
+    for (const item of failedItems) {
+      lines.push(`${indent}  FAILED ${item.action} ${item.target}: ${item.error}`)
+    }
+  }
+
+  return lines
+}
+
+main(process.argv.slice(2)).then(
+  exitCode => { process.exitCode = exitCode },
+  error => {
+    console.error(error.message)
+    process.exitCode = 1
+  }
+)
@@ -1,15 +1,39 @@
 'use strict'
 
 const fs = require('node:fs/promises')
-const { request } = require('undici')
+const { Blob } = require('node:buffer')
+const { createHash } = require('node:crypto')
+const path = require('node:path')
+const { request, FormData } = require('undici')
+const { CloudflareApiError } = require('./errors')
+const { loadTlsClientAuth, describeCertificate, certificateFingerprint } = require('./certificates')
+const RateLimiter = require('./rate-limiter')
 
 const CLOUDFLARE_API_URL = 'https://api.cloudflare.com/client/v4/'
 
+// Settings that are not available on every plan, Cloudflare rejecting them with code 1015 is not a failure
+const PLAN_RESTRICTED_SETTINGS = ['prefetch_preload', 'http2']
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE']
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+]
+const RETRY_BASE_DELAY_MS = 500
+const RETRY_MAX_DELAY_MS = 30000
+
 class CloudFlare {
   constructor (zoneId, domain, options, requestDelay = 0) {
     this.zoneId = zoneId
     this.domain = domain
     this.requestDelay = requestDelay
+    this.accountId = options.accountId
+    this.zoneSettings = null
+    this.retries = options.retries ?? 3
+    this.timeoutMs = options.timeoutMs ?? 30000
+    this.logger = options.logger ?? console
+    this.rateLimiter = options.rateLimiter ??
+      new RateLimiter({ requestsPerSecond: requestDelay > 0 ? 1000 / requestDelay : Infinity })
 
     this.authorizationHeaders = null
     if (options.email !== undefined && options.apiKey !== undefined) {
@@ -26,92 +50,100 @@ class CloudFlare {
     }
   }
 
-  async setIPv6 (value) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/settings/ipv6`
+  async findZone (accountId) {
+    const accountFilter = accountId ? `&account.id=${encodeURIComponent(accountId)}` : ''
+    const url = CLOUDFLARE_API_URL + `zones?name=${encodeURIComponent(this.domain)}${accountFilter}`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'PATCH',
+      method: 'GET',
       headers: {
         ...this.authorizationHeaders,
         'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ value })
+      }
     })
 
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not change IPv6: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not find zone for domain ${this.domain}: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
-    return response
+    return response?.result?.[0] ?? null
   }
 
-  async setEmailObfuscation (value) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/settings/email_obfuscation`
+  async createZone (accountId, { type = 'full', jumpStart = false } = {}) {
+    const url = CLOUDFLARE_API_URL + 'zones'
 
     const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'PATCH',
+      method: 'POST',
       headers: {
         ...this.authorizationHeaders,
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ value })
+      body: JSON.stringify({ name: this.domain, account: { id: accountId }, type, jump_start: jumpStart })
     })
 
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not change email obfuscation: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not create zone for domain ${this.domain}: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
-    return response
+    this.zoneId = response.result.id
+    this.logger.log(`Created zone ${this.zoneId} for domain ${this.domain}, name servers: ${response.result.name_servers?.join(', ')}`)
+
+    return response.result
   }
 
-  async setSSL (value) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/settings/ssl`
+  async setZonePlan (ratePlanId) {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/subscription`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'PATCH',
+      method: 'POST',
       headers: {
         ...this.authorizationHeaders,
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ value })
+      body: JSON.stringify({ rate_plan: { id: ratePlanId } })
     })
 
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not change SSL: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not set zone plan ${ratePlanId}: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
   }
 
-  async setBrotli (value) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/settings/brotli`
+  async getZone () {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'PATCH',
+      method: 'GET',
       headers: {
         ...this.authorizationHeaders,
         'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ value })
+      }
     })
 
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not change brotli: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not get zone: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
   }
 
-  async getDNSRecords () {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/dns_records`
+  // Account-level resources need the account ID, it is read from the zone unless it was configured
+  async resolveAccountId () {
+    this.accountId ??= (await this.getZone()).result.account.id
+    return this.accountId
+  }
+
+  async getZoneSettings () {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/settings`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
       method: 'GET',
@@ -124,30 +156,210 @@ class CloudFlare {
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not get DNS records: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not get zone settings: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
+    }
+
+    return response
+  }
+
+  // Current values of all zone settings from one bulk request. Settings may be planned concurrently, so the
+  // pending request is shared until the settings are written
+  async getCurrentZoneSettings () {
+    this.zoneSettings ??= this.getZoneSettings().then(({ result }) => result ?? [])
+
+    try {
+      return await this.zoneSettings
+    } catch (error) {
+      this.zoneSettings = null
+      throw error
+    }
+  }
+
+  async planZoneSetting (settingId, value) {
+    const zoneSettings = await this.getCurrentZoneSettings()
+
+    const currentSetting = zoneSettings.find(setting => setting.id === settingId)
+    if (currentSetting === undefined) {
+      throw new Error(`Zone setting ${settingId} is not available for domain ${this.domain}`)
+    }
+
+    return [planChange(settingId, currentSetting.value, value, isSubset(value, currentSetting.value) ? 'no-op' : 'update')]
+  }
+
+  async planZoneSettings (zoneSettings) {
+    const changes = []
+
+    for (const [settingId, value] of Object.entries(zoneSettings)) {
+      changes.push(...await this.planZoneSetting(settingId, value))
+    }
+
+    return changes
+  }
+
+  async setZoneSetting (settingId, value) {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/settings/${settingId}`
+
+    const { statusCode, body } = await this.requestWithDelay(url, {
+      method: 'PATCH',
+      headers: {
+        ...this.authorizationHeaders,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ value })
+    })
+
+    const response = await body.json()
+
+    if (statusCode !== 200) {
+      if (PLAN_RESTRICTED_SETTINGS.includes(settingId) && response?.errors?.some(e => e.code === 1015)) {
+        return response
+      }
+      throw new CloudflareApiError(`Could not set zone setting ${settingId}: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
   }
 
-  async rewriteDNSRecords (dnsRecords) {
+  // Settings that already have the desired value are not written. The changed ones are sent in one bulk request,
+  // if Cloudflare rejects it every setting is retried on its own so the report tells which of them failed
+  async setZoneSettings (zoneSettings) {
+    const currentZoneSettings = await this.getCurrentZoneSettings()
+    const results = []
+    const entries = []
+
+    for (const [settingId, value] of Object.entries(zoneSettings)) {
+      const currentSetting = currentZoneSettings.find(setting => setting.id === settingId)
+
+      if (currentSetting !== undefined && isSubset(value, currentSetting.value)) {
+        results.push({ target: settingId, action: 'no-op', status: 'ok' })
+      } else {
+        entries.push([settingId, value])
+      }
+    }
+
+    if (entries.length > 0) {
+      this.zoneSettings = null
+    }
+
+    if (entries.length > 1) {
+      const startedAt = Date.now()
+      const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/settings`
+
+      const { statusCode, body } = await this.requestWithDelay(url, {
+        method: 'PATCH',
+        headers: {
+          ...this.authorizationHeaders,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ items: entries.map(([id, value]) => ({ id, value })) })
+      })
+
+      const response = await body.json()
+
+      if (statusCode === 200) {
+        const durationMs = Date.now() - startedAt
+        return results.concat(entries.map(([settingId]) => ({
+          target: settingId,
+          action: 'update',
+          status: 'ok',
+          response: response?.result?.find(setting => setting.id === settingId),
+          durationMs
+        })))
+      }
+
+      this.logger.warn(`Bulk update of zone settings failed for domain ${this.domain}, updating them one by one: ${statusCode}, error: ${JSON.stringify(response)}`)
+    }
+
+    for (const [settingId, value] of entries) {
+      results.push(await runItem(settingId, 'update', () => this.setZoneSetting(settingId, value)))
+    }
+
+    return results
+  }
+
+  async getDNSRecords () {
+    return this.listAll('dns_records', 'DNS records', 500)
+  }
+
+  async rewriteDNSRecords (dnsRecords, { prune } = {}) {
     const currentDNSRecords = await this.getDNSRecords()
+    const results = []
+
+    for (const { action, dnsRecord, currentDNSRecord } of this.reconcileDNSRecords(dnsRecords, currentDNSRecords.result, prune)) {
+      const target = dnsRecordTarget(dnsRecord ?? currentDNSRecord)
+      let result
+
+      if (action === 'no-op') {
+        result = { target, action, status: 'ok' }
+      } else if (action === 'update') {
+        result = await runItem(target, action, () => this.updateDNSRecord(currentDNSRecord.id, dnsRecord))
+      } else if (action === 'create') {
+        result = await runItem(target, action, () => this.createDNSRecord(dnsRecord))
+      } else {
+        result = await runItem(target, action, () => this.deleteDNSRecord(currentDNSRecord.id))
+      }
 
-    for (const dnsRecord of dnsRecords) {
-      const currentDNSRecord = currentDNSRecords.result.find(
-        record => record.name === dnsRecord.name
-      )
+      if (result.status === 'failed') {
+        this.logger.error(`Could not ${action} DNS record: ${JSON.stringify(dnsRecord ?? currentDNSRecord)}, error: ${result.error}`)
+      }
+      results.push(result)
+    }
 
-      try {
-        if (currentDNSRecord) {
-          await this.updateDNSRecord(currentDNSRecord.id, dnsRecord)
+    return results
+  }
+
+  async planDNSRecords (dnsRecords, { prune } = {}) {
+    const currentDNSRecords = await this.getDNSRecords()
+
+    return this.reconcileDNSRecords(dnsRecords, currentDNSRecords.result, prune).map(({ action, dnsRecord, currentDNSRecord }) => {
+      return planChange(dnsRecordTarget(dnsRecord ?? currentDNSRecord), currentDNSRecord, dnsRecord, action)
+    })
+  }
+
+  // Records are identified by name and type, every name + type pair is reconciled as a set of values
+  reconcileDNSRecords (dnsRecords, currentDNSRecords, prune) {
+    const records = dnsRecords.map(dnsRecord => ({ ...dnsRecord, name: expandDNSRecordName(dnsRecord.name, this.domain) }))
+    const recordSetKeys = [...new Set(records.map(dnsRecordKey))]
+    const operations = []
+
+    for (const recordSetKey of recordSetKeys) {
+      const recordSet = records.filter(record => dnsRecordKey(record) === recordSetKey)
+      const unmatchedCurrentRecords = currentDNSRecords.filter(record => dnsRecordKey(record) === recordSetKey)
+      const unmatchedRecords = []
+
+      for (const dnsRecord of recordSet) {
+        const index = unmatchedCurrentRecords.findIndex(record => dnsRecordValue(record) === dnsRecordValue(dnsRecord))
+
+        if (index === -1) {
+          unmatchedRecords.push(dnsRecord)
         } else {
-          await this.createDNSRecord(dnsRecord)
+          const [currentDNSRecord] = unmatchedCurrentRecords.splice(index, 1)
+          operations.push({ action: isSubset(dnsRecord, currentDNSRecord) ? 'no-op' : 'update', dnsRecord, currentDNSRecord })
         }
-      } catch (error) {
-        console.error(`Could not update DNS record: ${JSON.stringify(dnsRecord)}, error: ${error}`)
       }
+
+      // New values are added next to the values on the zone. Only when pruning, which would delete the remaining
+      // unprotected records of the set, are those reused for them
+      for (const dnsRecord of unmatchedRecords) {
+        const index = prune ? unmatchedCurrentRecords.findIndex(record => !isProtected(record, prune.protect ?? [])) : -1
+        const [currentDNSRecord] = index === -1 ? [] : unmatchedCurrentRecords.splice(index, 1)
+        operations.push(currentDNSRecord
+          ? { action: 'update', dnsRecord, currentDNSRecord }
+          : { action: 'create', dnsRecord, currentDNSRecord: null })
+      }
+
+      // Other values of the set are only deleted when pruning
+      for (const currentDNSRecord of findPrunable(unmatchedCurrentRecords, () => false, prune)) {
+        operations.push({ action: 'delete', dnsRecord: null, currentDNSRecord })
+      }
+    }
+
+    const isDeclared = record => recordSetKeys.includes(dnsRecordKey(record))
+    for (const currentDNSRecord of findPrunable(currentDNSRecords, isDeclared, prune)) {
+      operations.push({ action: 'delete', dnsRecord: null, currentDNSRecord })
     }
+
+    return operations
   }
 
   async createDNSRecord (dnsRecord) {
@@ -165,7 +377,7 @@ class CloudFlare {
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not create DNS record: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not create DNS record: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
@@ -186,14 +398,35 @@ class CloudFlare {
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not update DNS record: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not update DNS record: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
   }
 
-  async getFirewallRules () {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/rulesets/phases/http_request_firewall_custom/entrypoint`
+  async deleteDNSRecord (id) {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/dns_records/${id}`
+
+    const { statusCode, body } = await this.requestWithDelay(url, {
+      method: 'DELETE',
+      headers: {
+        ...this.authorizationHeaders,
+        'Content-Type': 'application/json'
+      }
+    })
+
+    const response = await body.json()
+
+    if (statusCode !== 200) {
+      throw new CloudflareApiError(`Could not delete DNS record: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
+    }
+
+    return response
+  }
+
+  // Reads the entrypoint ruleset of a zone phase, creating it when the zone has none yet
+  async getRulesetRules (phase) {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/rulesets/phases/${phase}/entrypoint`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
       method: 'GET',
@@ -211,12 +444,12 @@ class CloudFlare {
     }
 
     if (statusCode === 404) {
-      console.log('Firewall ruleset was not found. Initializing firewall ruleset creation...')
+      this.logger.log(`Ruleset for phase ${phase} was not found. Initializing ruleset creation...`)
       const createRulesetUrl = CLOUDFLARE_API_URL + `zones/${this.zoneId}/rulesets`
       const payload = {
-        name: 'Custom firewall ruleset',
+        name: `Zone entrypoint ruleset for ${phase}`,
         kind: 'zone',
-        phase: 'http_request_firewall_custom',
+        phase,
         rules: []
       }
 
@@ -237,33 +470,29 @@ class CloudFlare {
       }
 
       if (createStatusCode !== 200) {
-        throw new Error(`Could not create firewall ruleset: ${createStatusCode}, error: ${JSON.stringify(createResponse)}`)
+        throw new CloudflareApiError(`Could not create ${phase} ruleset: ${createStatusCode}, error: ${JSON.stringify(createResponse)}`, createStatusCode, createResponse)
       }
 
       const { id, rules } = createResponse?.result ?? {}
       if (!id) {
-        throw new Error(`Could not get firewall rules ruleset ID: got ${id}, received value: ${JSON.stringify(createResponse)}`)
+        throw new Error(`Could not get ${phase} ruleset ID: got ${id}, received value: ${JSON.stringify(createResponse)}`)
       }
 
       return { id, rules: rules ?? [] }
     } else if (statusCode !== 200) {
-      throw new Error(`Could not get firewall rules: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not get ${phase} rules: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     const { id, rules } = response?.result ?? {}
     if (!id) {
-      throw new Error(`Could not get firewall rules ruleset ID: got ${id}, received value: ${JSON.stringify(response)}`)
+      throw new Error(`Could not get ${phase} ruleset ID: got ${id}, received value: ${JSON.stringify(response)}`)
     }
 
-    return { id, rules }
+    return { id, rules: rules ?? [] }
   }
 
-  async createFirewallRule (rulesetId, firewallRule) {
+  async createRulesetRule (rulesetId, rule) {
     const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/rulesets/${rulesetId}/rules`
-    // Spread "filter" property from deprecated rule API
-    const filter = firewallRule?.filter ?? {}
-    const rule = { ...firewallRule, ...filter }
-    delete rule.filter
 
     const { statusCode, body } = await this.requestWithDelay(url, {
       method: 'POST',
@@ -282,18 +511,14 @@ class CloudFlare {
     }
 
     if (statusCode !== 200) {
-      throw new Error(`Could not create a firewall rule: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not create a ruleset rule: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
   }
 
-  async updateFirewallRule (rulesetId, ruleId, firewallRule) {
+  async updateRulesetRule (rulesetId, ruleId, rule) {
     const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/rulesets/${rulesetId}/rules/${ruleId}`
-    // Spread "filter" property from deprecated rule API
-    const filter = firewallRule?.filter ?? {}
-    const rule = { ...firewallRule, ...filter }
-    delete rule.filter
 
     const { statusCode, body } = await this.requestWithDelay(url, {
       method: 'PATCH',
@@ -312,29 +537,21 @@ class CloudFlare {
     }
 
     if (statusCode !== 200) {
-      throw new Error(`Could not update a firewall rule: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not update a ruleset rule: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
   }
 
-  async rewriteFirewallRules (firewallRules) {
-    const { id: rulesetId } = await this.getFirewallRules()
-
-    if (!rulesetId) {
-      console.error(`Could not update firewall rules for domain ${this.domain}: custom firewall ruleset id is not found`)
-      throw new Error('Custom firewall ruleset id is not found')
-    }
-
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/rulesets/${rulesetId}`
+  async deleteRulesetRule (rulesetId, ruleId) {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/rulesets/${rulesetId}/rules/${ruleId}`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'PUT',
+      method: 'DELETE',
       headers: {
         ...this.authorizationHeaders,
         'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ rules: firewallRules })
+      }
     })
 
     let response
@@ -345,19 +562,24 @@ class CloudFlare {
     }
 
     if (statusCode !== 200) {
-      throw new Error(`Could not update firewall rules: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not delete a ruleset rule: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
+
+    return response
   }
 
-  async getRedirectRules () {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/rulesets/phases/http_request_dynamic_redirect/entrypoint`
+  // Replace mode writes the whole ruleset: rules that are not declared are removed unless prune options protect them
+  async replaceRulesetRules (phase, rules, { prune } = {}) {
+    const { id: rulesetId, rules: currentRules } = await this.getRulesetRules(phase)
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/rulesets/${rulesetId}`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'GET',
+      method: 'PUT',
       headers: {
         ...this.authorizationHeaders,
         'Content-Type': 'application/json'
-      }
+      },
+      body: JSON.stringify({ rules: keepUndeclaredRules(rules.map(spreadRuleFilter), currentRules, prune ?? { protect: [] }) })
     })
 
     let response
@@ -367,62 +589,149 @@ class CloudFlare {
       response = await body.text()
     }
 
-    if (statusCode === 404) {
-      // Create http_request_dynamic_redirect ruleset if one doesn't exist
-      console.log('Ruleset was not found. Initializing redirect ruleset creation...')
-      const createRulesetUrl = CLOUDFLARE_API_URL + `zones/${this.zoneId}/rulesets`
-      const payload = {
-        name: 'Redirect rules ruleset',
-        kind: 'zone',
-        phase: 'http_request_dynamic_redirect',
-        rules: []
-      }
+    if (statusCode !== 200) {
+      throw new CloudflareApiError(`Could not update ${phase} rules: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
+    }
+    return response
+  }
 
-      const { statusCode: createStatusCode, body: createBody } = await this.requestWithDelay(createRulesetUrl, {
-        method: 'POST',
-        headers: {
-          ...this.authorizationHeaders,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
-      })
+  // Merge mode only touches declared rules through the per-rule endpoints, identified by ref or else description.
+  // Every declared rule is moved right after the previous one, rules of others keep their place
+  async mergeRulesetRules (phase, rules, { prune } = {}) {
+    const { id: rulesetId, rules: currentRules } = await this.getRulesetRules(phase)
+    const results = []
+    let ruleIds = currentRules.map(currentRule => currentRule.id)
+    let previousRuleId = null
+
+    const firstCurrentRule = currentRules.find(currentRule => rules.some(rule => isSameRule(rule, currentRule)))
+
+    for (const rule of rules.map(spreadRuleFilter)) {
+      const target = rule.ref ?? rule.description
+      const currentRule = currentRules.find(currentRule => isSameRule(rule, currentRule))
+      let result
+
+      if (currentRule === undefined) {
+        const position = previousRuleId !== null
+          ? { after: previousRuleId }
+          : firstCurrentRule && { before: firstCurrentRule.id }
+        result = await runItem(target, 'create', () => this.createRulesetRule(rulesetId, { ...rule, ...(position && { position }) }))
+      } else {
+        const isMisplaced = previousRuleId !== null && ruleIds.indexOf(currentRule.id) < ruleIds.indexOf(previousRuleId)
 
-      const createResponse = await createBody.json()
+        if (!isMisplaced && isSubset(rule, currentRule)) {
+          result = { target, action: 'no-op', status: 'ok' }
+        } else {
+          const position = isMisplaced ? { position: { after: previousRuleId } } : {}
+          result = await runItem(target, 'update', () => this.updateRulesetRule(rulesetId, currentRule.id, { ...rule, ...position }))
+        }
+      }
 
-      if (createStatusCode !== 200) {
-        throw new Error(`Could not create redirect ruleset: ${statusCode}, error: ${JSON.stringify(createResponse)}`)
+      if (result.status === 'failed') {
+        this.logger.error(`Could not ${result.action} ${phase} rule ${target} for domain ${this.domain}: ${result.error}`)
+        results.push(result)
+        continue
       }
 
-      const { id, rules } = createResponse?.result ?? {}
-      if (!id) {
-        throw new Error(`Could not get redirect rules ruleset ID: got ${id}, received value: ${JSON.stringify(response)}`)
+      // Rule endpoints answer with the whole ruleset, which tells the ID of a new rule and the current order
+      const updatedRules = result.response?.result?.rules
+      if (updatedRules !== undefined) {
+        ruleIds = updatedRules.map(updatedRule => updatedRule.id)
       }
+      previousRuleId = (updatedRules ?? currentRules).find(updatedRule => isSameRule(rule, updatedRule))?.id ?? previousRuleId
+      results.push(result)
+    }
 
-      return { id, rules: rules ?? [] }
-    } else {
-      if (statusCode !== 200) {
-        throw new Error(`Could not get redirect rules: ${statusCode}, error: ${JSON.stringify(response)}`)
+    for (const currentRule of findPrunable(currentRules, isDeclaredRule(rules), prune)) {
+      const target = currentRule.ref ?? currentRule.description ?? currentRule.id
+      const result = await runItem(target, 'delete', () => this.deleteRulesetRule(rulesetId, currentRule.id))
+
+      if (result.status === 'failed') {
+        this.logger.error(`Could not delete ${phase} rule ${target} for domain ${this.domain}: ${result.error}`)
       }
+      results.push(result)
+    }
 
-      const { id, rules } = response?.result ?? {}
-      if (!id) {
-        throw new Error(`Could not get redirect rules ruleset ID: got ${id}, received value: ${JSON.stringify(response)}`)
+    return results
+  }
+
+  async rewriteRulesetRules (phase, rules, { prune, rulesetMode = 'merge' } = {}) {
+    return rulesetMode === 'replace'
+      ? this.replaceRulesetRules(phase, rules, { prune })
+      : this.mergeRulesetRules(phase, rules, { prune })
+  }
+
+  // Every phase is a separate ruleset, a phase that fails does not stop the others
+  async rewriteRulesets (rulesets, { prune, rulesetMode = 'merge' } = {}) {
+    const results = []
+
+    for (const [phase, rules] of Object.entries(rulesets)) {
+      const result = await runItem(phase, 'update', () => this.rewriteRulesetRules(phase, rules, { prune, rulesetMode }))
+
+      if (result.status === 'failed') {
+        this.logger.error(`Could not update ${phase} rules for domain ${this.domain}: ${result.error}`)
+        results.push(result)
+      } else if (Array.isArray(result.response)) {
+        results.push(...result.response.map(item => ({ ...item, target: `${phase}: ${item.target}` })))
+      } else {
+        results.push(result)
       }
+    }
 
-      return { id, rules: rules ?? [] }
+    return results
+  }
+
+  async planRulesets (rulesets, { prune, rulesetMode } = {}) {
+    const changes = []
+
+    for (const [phase, rules] of Object.entries(rulesets)) {
+      const phaseChanges = await this.planRulesetRules(phase, rules, { prune, rulesetMode })
+      changes.push(...phaseChanges.map(change => ({ ...change, target: `${phase}: ${change.target}` })))
     }
+
+    return changes
+  }
+
+  async getFirewallRules () {
+    return this.getRulesetRules('http_request_firewall_custom')
+  }
+
+  async createFirewallRule (rulesetId, firewallRule) {
+    return this.createRulesetRule(rulesetId, spreadRuleFilter(firewallRule))
+  }
+
+  async updateFirewallRule (rulesetId, ruleId, firewallRule) {
+    return this.updateRulesetRule(rulesetId, ruleId, spreadRuleFilter(firewallRule))
+  }
+
+  async rewriteFirewallRules (firewallRules, { prune, rulesetMode } = {}) {
+    return this.rewriteRulesetRules('http_request_firewall_custom', firewallRules, { prune, rulesetMode })
+  }
+
+  async getRedirectRules () {
+    return this.getRulesetRules('http_request_dynamic_redirect')
   }
 
   async createRedirectRule (rulesetId, redirectRule) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/rulesets/${rulesetId}/rules`
+    return this.createRulesetRule(rulesetId, redirectRule)
+  }
+
+  async updateRedirectRule (rulesetId, ruleId, redirectRule) {
+    return this.updateRulesetRule(rulesetId, ruleId, redirectRule)
+  }
+
+  async rewriteRedirectRules (redirectRules, { prune, rulesetMode } = {}) {
+    return this.rewriteRulesetRules('http_request_dynamic_redirect', redirectRules, { prune, rulesetMode })
+  }
+
+  async getEntrypointRuleset (phase) {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/rulesets/phases/${phase}/entrypoint`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'POST',
+      method: 'GET',
       headers: {
         ...this.authorizationHeaders,
         'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(redirectRule)
+      }
     })
 
     let response
@@ -432,15 +741,49 @@ class CloudFlare {
       response = await body.text()
     }
 
-    if (statusCode !== 200) {
-      throw new Error(`Could not create a redirect rule: ${statusCode}, error: ${JSON.stringify(response)}`)
+    if (statusCode === 404) {
+      return null
+    } else if (statusCode !== 200) {
+      throw new CloudflareApiError(`Could not get ${phase} ruleset: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
-    return response
+    const { id, rules } = response?.result ?? {}
+    return { id, rules: rules ?? [] }
   }
 
-  async updateRedirectRule (rulesetId, ruleId, redirectRule) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/rulesets/${rulesetId}/rules/${ruleId}`
+  async planRulesetRules (phase, rules, { prune, rulesetMode = 'merge' } = {}) {
+    const ruleset = await this.getEntrypointRuleset(phase)
+    const currentRules = ruleset?.rules ?? []
+
+    const changes = rules.map(spreadRuleFilter).map(rule => {
+      const target = rule.ref ?? rule.description
+      const currentRule = currentRules.find(currentRule => isSameRule(rule, currentRule))
+
+      if (currentRule === undefined) {
+        return planChange(target, null, rule, 'create')
+      }
+
+      return planChange(target, currentRule, rule, isSubset(rule, currentRule) ? 'no-op' : 'update')
+    })
+
+    const prunePolicy = rulesetMode === 'replace' ? prune ?? { protect: [] } : prune
+    for (const currentRule of findPrunable(currentRules, isDeclaredRule(rules), prunePolicy)) {
+      changes.push(planChange(currentRule.ref ?? currentRule.description ?? currentRule.id, currentRule, null, 'delete'))
+    }
+
+    return changes
+  }
+
+  async planFirewallRules (firewallRules, { prune, rulesetMode } = {}) {
+    return this.planRulesetRules('http_request_firewall_custom', firewallRules, { prune, rulesetMode })
+  }
+
+  async planRedirectRules (redirectRules, { prune, rulesetMode } = {}) {
+    return this.planRulesetRules('http_request_dynamic_redirect', redirectRules, { prune, rulesetMode })
+  }
+
+  async setArgoSmartRouting (value) {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/argo/smart_routing`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
       method: 'PATCH',
@@ -448,233 +791,245 @@ class CloudFlare {
         ...this.authorizationHeaders,
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify(redirectRule)
+      body: JSON.stringify({ value })
     })
 
-    let response
-    try {
-      response = await body.json()
-    } catch (e) {
-      response = await body.text()
-    }
+    const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not update a redirect rule: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not set Argo Smart Routing: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
   }
 
-  async rewriteRedirectRules (redirectRules) {
-    const { id: rulesetId } = await this.getRedirectRules()
-
-    if (!rulesetId) {
-      console.error(`Could not update redirect rules for domain ${this.domain}: custom firewall ruleset id is not found`)
-      throw new Error('Custom redirect ruleset id is not found')
-    }
-
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/rulesets/${rulesetId}`
+  async getArgoSmartRouting () {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/argo/smart_routing`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'PUT',
+      method: 'GET',
       headers: {
         ...this.authorizationHeaders,
         'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ rules: redirectRules })
+      }
     })
 
-    let response
-    try {
-      response = await body.json()
-    } catch (e) {
-      response = await body.text()
-    }
+    const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not update redirect rules: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not get Argo Smart Routing: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
+
+    return response
   }
 
-  async setPolish (value) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/settings/polish`
+  async rewriteArgoSmartRouting (value) {
+    const { result } = await this.getArgoSmartRouting()
 
-    const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'PATCH',
-      headers: {
-        ...this.authorizationHeaders,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ value })
-    })
+    if (result?.value === value) {
+      return [{ target: 'argo_smart_routing', action: 'no-op', status: 'ok' }]
+    }
 
-    const response = await body.json()
+    return [await runItem('argo_smart_routing', 'update', () => this.setArgoSmartRouting(value))]
+  }
 
-    if (statusCode !== 200) {
-      throw new Error(`Could not set polish: ${statusCode}, error: ${JSON.stringify(response)}`)
-    }
+  async planArgoSmartRouting (value) {
+    const { result } = await this.getArgoSmartRouting()
+    const currentValue = result?.value
 
-    return response
+    return [planChange('argo_smart_routing', currentValue, value, currentValue === value ? 'no-op' : 'update')]
   }
 
-  async setMinify (value) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/settings/minify`
+  async getPageRules () {
+    return this.listAll('pagerules', 'page rules')
+  }
+
+  async updatePageRule (pageRuleId, pageRule) {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/pagerules/${pageRuleId}`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'PATCH',
+      method: 'PUT',
       headers: {
         ...this.authorizationHeaders,
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ value })
+      body: JSON.stringify(pageRule)
     })
 
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not set minify: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not update page rule: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
   }
 
-  async setHTTP2Prioritization (value) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/settings/h2_prioritization`
+  async createPageRule (pageRule) {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/pagerules`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'PATCH',
+      method: 'POST',
       headers: {
         ...this.authorizationHeaders,
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ value })
+      body: JSON.stringify(pageRule)
     })
 
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not set HTTP2 prioritization: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not create page rule: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
   }
 
-  async setPrefetchURLs (value) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/settings/prefetch_preload`
+  async rewritePageRules (pageRules, { prune } = {}) {
+    await this.assertPageRuleActionsAvailable(pageRules)
+    const currentPageRules = await this.getPageRules()
+    const results = []
+
+    for (const { action, pageRule, currentPageRule } of reconcilePageRules(pageRules, currentPageRules.result, prune)) {
+      const target = pageRuleTarget(pageRule ?? currentPageRule)
+      let result
+
+      if (action === 'no-op') {
+        result = { target, action, status: 'ok' }
+      } else if (action === 'update') {
+        result = await runItem(target, action, () => this.updatePageRule(currentPageRule.id, pageRule))
+      } else if (action === 'create') {
+        result = await runItem(target, action, () => this.createPageRule(pageRule))
+      } else {
+        result = await runItem(target, action, () => this.deletePageRule(currentPageRule.id))
+      }
 
-    const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'PATCH',
-      headers: {
-        ...this.authorizationHeaders,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ value })
+      if (result.status === 'failed') {
+        this.logger.log(`Could not ${action} page rule for domain ${this.domain}: ${result.error}\n`)
+      }
+      results.push(result)
+    }
+
+    return results
+  }
+
+  async planPageRules (pageRules, { prune } = {}) {
+    await this.assertPageRuleActionsAvailable(pageRules)
+    const currentPageRules = await this.getPageRules()
+
+    return reconcilePageRules(pageRules, currentPageRules.result, prune).map(({ action, pageRule, currentPageRule }) => {
+      return planChange(pageRuleTarget(pageRule ?? currentPageRule), currentPageRule, pageRule, action)
     })
+  }
 
-    const response = await body.json()
+  // The plan of the zone decides which actions page rules may use, nothing is written when one is not available
+  async assertPageRuleActionsAvailable (pageRules) {
+    const { result: availableSettings } = await this.getAvailablePageRules()
+    if (!Array.isArray(availableSettings)) return
 
-    if (statusCode !== 200) {
-      if (response && response.errors && response.errors.find(e => e.code === 1015)) {
-        return response
-      }
-      throw new Error(`Could not set prefetch URLs: ${statusCode}, error: ${JSON.stringify(response)}`)
-    }
+    const availableActions = availableSettings.map(setting => setting.id)
+    const unavailableActions = [...new Set(pageRules.flatMap(pageRule => pageRule.actions.map(action => action.id)))]
+      .filter(action => !availableActions.includes(action))
 
-    return response
+    if (unavailableActions.length > 0) {
+      throw new Error(`Page rule actions are not available for domain ${this.domain}: ${unavailableActions.join(', ')}`)
+    }
   }
 
-  async setHttp2 (value) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/settings/http2`
+  async deletePageRule (pageRuleId) {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/pagerules/${pageRuleId}`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'PATCH',
+      method: 'DELETE',
       headers: {
         ...this.authorizationHeaders,
         'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ value })
+      }
     })
 
     const response = await body.json()
 
     if (statusCode !== 200) {
-      if (response && response.errors && response.errors.find(e => e.code === 1015)) {
-        return response
-      }
-      throw new Error(`Could not set HTTP2: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not delete page rule: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
   }
 
-  async setHttp3 (value) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/settings/http3`
+  async deletePageRules (pageRules) {
+    const currentPageRules = await this.getPageRules()
+    const results = []
 
-    const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'PATCH',
-      headers: {
-        ...this.authorizationHeaders,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ value })
-    })
+    for (const pageRule of pageRules) {
+      const currentPageRule = findPageRule(currentPageRules.result, pageRule)
+      const target = pageRuleTarget(pageRule)
 
-    const response = await body.json()
+      if (currentPageRule === undefined) {
+        results.push({ target, action: 'no-op', status: 'ok' })
+        continue
+      }
 
-    if (statusCode !== 200) {
-      throw new Error(`Could not set HTTP3: ${statusCode}, error: ${JSON.stringify(response)}`)
+      const result = await runItem(target, 'delete', () => this.deletePageRule(currentPageRule.id))
+      if (result.status === 'failed') {
+        this.logger.log(`Could not delete page rule for domain ${this.domain}: ${result.error}\n`)
+      }
+      results.push(result)
     }
 
-    return response
+    return results
   }
 
-  async set0RTT (value) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/settings/0rtt`
+  async getAvailablePageRules () {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/pagerules/settings`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'PATCH',
+      method: 'GET',
       headers: {
         ...this.authorizationHeaders,
         'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ value })
+      }
     })
 
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not set 0-RTT: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not get available page rules: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
   }
 
-  async setArgoSmartRouting (value) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/argo/smart_routing`
+  async createWorkerRoute (workerRoute) {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/workers/routes`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'PATCH',
+      method: 'POST',
       headers: {
         ...this.authorizationHeaders,
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ value })
+      body: JSON.stringify(workerRoute)
     })
 
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not set Argo Smart Routing: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not create worker route: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
   }
 
-  async getPageRules () {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/pagerules`
+  async getWorkerRoutes () {
+    return this.listAll('workers/routes', 'worker routes')
+  }
+
+  async deleteWorkerRoute (routeId) {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/workers/routes/${routeId}`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'GET',
+      method: 'DELETE',
       headers: {
         ...this.authorizationHeaders,
         'Content-Type': 'application/json'
@@ -684,14 +1039,14 @@ class CloudFlare {
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not get page rules: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not delete worker route: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
   }
 
-  async updatePageRule (pageRuleId, pageRule) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/pagerules/${pageRuleId}`
+  async updateWorkerRoute (routeId, workerRoute) {
+    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/workers/routes/${routeId}`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
       method: 'PUT',
@@ -699,69 +1054,82 @@ class CloudFlare {
         ...this.authorizationHeaders,
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify(pageRule)
+      body: JSON.stringify(workerRoute)
     })
 
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not update page rule: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not update worker route: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
   }
 
-  async createPageRule (pageRule) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/pagerules`
-
-    const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'POST',
-      headers: {
-        ...this.authorizationHeaders,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(pageRule)
-    })
-
-    const response = await body.json()
+  // Routes to scripts that failed to upload are not written, they would serve the old version or nothing
+  async rewriteWorkerRoutes (workerRoutes, { prune, workerScripts, failedWorkerScripts = [] } = {}) {
+    await this.assertWorkerScriptsExist(workerRoutes, workerScripts)
+    const currentWorkerRoutes = await this.getWorkerRoutes()
+    const results = []
+
+    for (const { action, workerRoute, currentWorkerRoute } of this.reconcileWorkerRoutes(workerRoutes, currentWorkerRoutes.result, prune)) {
+      const target = (workerRoute ?? currentWorkerRoute).pattern
+      let result
+
+      if (action === 'no-op') {
+        result = { target, action, status: 'ok' }
+      } else if (action !== 'delete' && failedWorkerScripts.includes(workerRoute.script)) {
+        result = { target, action, status: 'failed', error: `Worker script ${workerRoute.script} failed to upload` }
+      } else if (action === 'update') {
+        result = await runItem(target, action, () => this.updateWorkerRoute(currentWorkerRoute.id, workerRoute))
+      } else if (action === 'create') {
+        result = await runItem(target, action, () => this.createWorkerRoute(workerRoute))
+      } else {
+        result = await runItem(target, action, () => this.deleteWorkerRoute(currentWorkerRoute.id))
+      }
 
-    if (statusCode !== 200) {
-      throw new Error(`Could not create page rule: ${statusCode}, error: ${JSON.stringify(response)}`)
+      if (result.status === 'failed') {
+        this.logger.error(`Could not ${action} worker route for domain ${this.domain} ${JSON.stringify(workerRoute ?? currentWorkerRoute)}: ${result.error}`)
+      }
+      results.push(result)
     }
 
-    return response
+    return results
   }
 
-  async rewritePageRules (pageRules) {
-    const currentPageRules = await this.getPageRules()
+  async planWorkerRoutes (workerRoutes, { prune, workerScripts } = {}) {
+    await this.assertWorkerScriptsExist(workerRoutes, workerScripts)
+    const currentWorkerRoutes = await this.getWorkerRoutes()
 
-    for (const pageRule of pageRules) {
-      const currentPageRule = currentPageRules.result.find(currentPageRule => {
-        for (const currentPageRuleTarget of currentPageRule.targets) {
-          const pageRuleTarget = pageRule.targets.find(pageRuleTarget => {
-            return currentPageRuleTarget.target === pageRuleTarget.target &&
-              currentPageRuleTarget.constraint?.operator === pageRuleTarget.constraint?.operator &&
-              currentPageRuleTarget.constraint?.value === pageRuleTarget.constraint?.value
-          })
-          if (pageRuleTarget === undefined) return false
-        }
-        return true
-      })
+    return this.reconcileWorkerRoutes(workerRoutes, currentWorkerRoutes.result, prune).map(({ action, workerRoute, currentWorkerRoute }) => {
+      return planChange((workerRoute ?? currentWorkerRoute).pattern, currentWorkerRoute, workerRoute, action)
+    })
+  }
 
-      try {
-        if (currentPageRule) {
-          await this.updatePageRule(currentPageRule.id, pageRule)
-        } else {
-          await this.createPageRule(pageRule)
-        }
-      } catch (error) {
-        console.log(`Could not update or create page rule for domain ${this.domain}: ${error.message}\n`)
+  // Routes are identified by pattern, so routes in sync are left alone and deletes come after every create and update
+  reconcileWorkerRoutes (workerRoutes, currentWorkerRoutes, prune) {
+    const operations = workerRoutes.map(workerRoute => {
+      const currentWorkerRoute = currentWorkerRoutes.find(route => route.pattern === workerRoute.pattern)
+
+      if (currentWorkerRoute === undefined) {
+        return { action: 'create', workerRoute, currentWorkerRoute: null }
       }
+
+      const isSameScript = (currentWorkerRoute.script || null) === (workerRoute.script || null)
+      return { action: isSameScript ? 'no-op' : 'update', workerRoute, currentWorkerRoute }
+    })
+
+    const isDeclared = route => workerRoutes.some(workerRoute => workerRoute.pattern === route.pattern)
+    for (const currentWorkerRoute of findPrunable(currentWorkerRoutes, isDeclared, prune)) {
+      operations.push({ action: 'delete', workerRoute: null, currentWorkerRoute })
     }
+
+    return operations
   }
 
-  async getAvailablePageRules () {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/pagerules/settings`
+  async getWorkerScripts () {
+    const accountId = await this.resolveAccountId()
+    const url = CLOUDFLARE_API_URL + `accounts/${accountId}/workers/scripts`
 
     const { statusCode, body } = await this.requestWithDelay(url, {
       method: 'GET',
@@ -774,216 +1142,278 @@ class CloudFlare {
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not get available page rules: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not get worker scripts: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
   }
 
-  async createWorkerRoute (workerRoute) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/workers/routes`
+  async uploadWorkerScript (workerScript) {
+    const accountId = await this.resolveAccountId()
+    const url = CLOUDFLARE_API_URL + `accounts/${accountId}/workers/scripts/${encodeURIComponent(workerScript.name)}`
+    const { fileName, format, script, metadata } = await prepareWorkerScript(workerScript)
 
+    const form = new FormData()
+    form.append('metadata', new Blob([JSON.stringify(metadata)], { type: 'application/json' }))
+    form.append(fileName, new Blob([script], {
+      type: format === 'module' ? 'application/javascript+module' : 'application/javascript'
+    }), fileName)
+
+    // The multipart content type and boundary are set by undici
     const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'POST',
-      headers: {
-        ...this.authorizationHeaders,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(workerRoute)
+      method: 'PUT',
+      headers: this.authorizationHeaders,
+      body: form
     })
 
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not create worker routes: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not upload worker script ${workerScript.name}: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
     return response
   }
 
-  async createWorkerRoutes (workerRoutes) {
-    const results = await Promise.allSettled(workerRoutes.map(workerRoute => this.createWorkerRoute(workerRoute)))
+  // Worker scripts belong to the account, so zones of the same account share one upload of each script through
+  // workerScriptUploads instead of uploading it again
+  async uploadWorkerScripts (workerScripts, { workerScriptUploads = new Map() } = {}) {
+    const accountId = await this.resolveAccountId()
+    let currentWorkerScripts = null
+    const results = []
 
-    for (let i = 0; i < results.length; i++) {
-      const result = results[i]
-      const workerRoute = workerRoutes[i]
+    for (const workerScript of workerScripts) {
+      const uploadKey = `${accountId}/${workerScript.name}`
 
-      if (result.status === 'rejected') {
-        console.log(`Could not create worker route for domain ${this.domain} ${JSON.stringify(workerRoute)}: ${result.reason}\n`)
+      if (!workerScriptUploads.has(uploadKey)) {
+        currentWorkerScripts ??= this.getWorkerScripts()
+        workerScriptUploads.set(uploadKey, this.syncWorkerScript(workerScript, currentWorkerScripts))
       }
+      results.push(await workerScriptUploads.get(uploadKey))
     }
+
+    return results
   }
 
-  async getWorkerRoutes () {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/workers/routes`
+  // Scripts whose deployed version carries the content tag of the local one are not uploaded again
+  async syncWorkerScript (workerScript, currentWorkerScripts) {
+    let action = 'update'
 
-    const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'GET',
-      headers: {
-        ...this.authorizationHeaders,
-        'Content-Type': 'application/json'
+    const result = await runItem(workerScript.name, action, async () => {
+      const currentWorkerScript = (await currentWorkerScripts).result.find(script => script.id === workerScript.name)
+      const { contentTag } = await prepareWorkerScript(workerScript)
+
+      if (currentWorkerScript?.tags?.includes(contentTag)) {
+        action = 'no-op'
+        return undefined
       }
-    })
 
-    const response = await body.json()
+      action = currentWorkerScript ? 'update' : 'create'
+      return this.uploadWorkerScript(workerScript)
+    })
 
-    if (statusCode !== 200) {
-      throw new Error(`Could not get worker routes: ${statusCode}, error: ${JSON.stringify(response)}`)
+    if (result.status === 'failed') {
+      this.logger.error(`Could not upload worker script ${workerScript.name} for domain ${this.domain}: ${result.error}`)
     }
 
-    return response
+    return { ...result, action }
   }
 
-  async deleteWorkerRoute (routeId) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/workers/routes/${routeId}`
+  // The deployed code cannot be downloaded for comparison, the content tag uploaded with it tells whether it changed
+  async planWorkerScripts (workerScripts) {
+    const currentWorkerScripts = await this.getWorkerScripts()
+    const changes = []
 
-    const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'DELETE',
-      headers: {
-        ...this.authorizationHeaders,
-        'Content-Type': 'application/json'
-      }
-    })
+    for (const workerScript of workerScripts) {
+      const currentWorkerScript = currentWorkerScripts.result.find(script => script.id === workerScript.name)
+      const { contentTag } = await prepareWorkerScript(workerScript)
+      const secrets = Object.keys(workerScript.bindings?.secrets ?? {})
 
-    const response = await body.json()
+      // Plans are printed, so secret values are masked
+      const desired = secrets.length === 0
+        ? workerScript
+        : { ...workerScript, bindings: { ...workerScript.bindings, secrets: Object.fromEntries(secrets.map(name => [name, '***'])) } }
 
-    if (statusCode !== 200) {
-      throw new Error(`Could not delete worker route: ${statusCode}, error: ${JSON.stringify(response)}`)
+      const action = currentWorkerScript === undefined
+        ? 'create'
+        : currentWorkerScript.tags?.includes(contentTag) ? 'no-op' : 'update'
+
+      changes.push(planChange(workerScript.name, currentWorkerScript ?? null, desired, action))
     }
 
-    return response
+    return changes
   }
 
-  async deleteWorkerRoutes (routeIds) {
-    const results = await Promise.allSettled(routeIds.map(routeId => this.deleteWorkerRoute(routeId)))
+  // Routes may only point at scripts that are deployed or declared in workerScripts of the same config
+  async assertWorkerScriptsExist (workerRoutes, declaredWorkerScripts = []) {
+    const routeScripts = [...new Set(workerRoutes.map(workerRoute => workerRoute.script).filter(Boolean))]
+    if (routeScripts.length === 0) return
 
-    for (let i = 0; i < results.length; i++) {
-      const result = results[i]
-      const routeId = routeIds[i]
+    const currentWorkerScripts = await this.getWorkerScripts()
+    const missingScripts = routeScripts.filter(script => {
+      return !declaredWorkerScripts.includes(script) && !currentWorkerScripts.result.some(currentScript => currentScript.id === script)
+    })
 
-      if (result.status === 'rejected') {
-        console.log(`Could not delete worker route for domain ${this.domain} ${routeId}: ${result.reason}\n`)
-      }
+    if (missingScripts.length > 0) {
+      throw new Error(`Worker routes of domain ${this.domain} reference scripts that do not exist: ${missingScripts.join(', ')}`)
     }
   }
 
-  async rewriteWorkerRoutes (workerRoutes) {
-    const currentWorkerRoutes = await this.getWorkerRoutes()
-    const currentWorkerRoutesIds = currentWorkerRoutes.result.map(route => route.id)
+  async uploadTlsClientAuth ({ clientKey, clientCert, caCert, clear, minValidityDays }) {
+    const results = []
+    let tlsClientAuth = null
 
-    if (currentWorkerRoutesIds.length > 0) {
-      await this.deleteWorkerRoutes(currentWorkerRoutesIds)
-    }
+    // The certificates are checked before the existing ones are cleared, so invalid ones change nothing
+    if (clientKey && clientCert && caCert) {
+      try {
+        tlsClientAuth = loadTlsClientAuth({ clientKey, clientCert, caCert, minValidityDays })
+      } catch (e) {
+        throw new Error(`Cancelling cert upload for domain ${this.domain}: ${e.message}`)
+      }
 
-    await this.createWorkerRoutes(workerRoutes)
-  }
+      for (const warning of tlsClientAuth.warnings) {
+        this.logger.warn(`${warning} for domain ${this.domain}`)
+      }
+    }
 
-  async setHotlinkProtection (value) {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/settings/hotlink_protection`
+    const current = await this.getTlsCertificates()
+    const desired = desiredTlsFingerprints(tlsClientAuth)
 
-    const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'PATCH',
-      headers: {
-        ...this.authorizationHeaders,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ value })
-    })
+    if (clear) {
+      results.push(...await this.clearCustomCerts(current, desired))
+    }
 
-    const response = await body.json()
+    if (tlsClientAuth !== null) {
+      const hasClientCert = current.clientCerts.some(cert => desired.clientCerts.includes(cert.fingerprint))
+      const hasCaCerts = desired.caCerts.every(fingerprint => current.caCerts.some(cert => cert.fingerprint === fingerprint))
+      const steps = [
+        ['client certificate', hasClientCert, () => this.uploadCertAndKey(tlsClientAuth.clientCert, tlsClientAuth.clientKey)],
+        ['CA certificate', hasCaCerts, () => this.uploadCaCert(tlsClientAuth.caCert)],
+        ['tls_client_auth', false, () => this.enableTLSClientAuth()]
+      ]
+
+      // Each step depends on the previous one, so stop at the first failure
+      for (const [target, isUploaded, step] of steps) {
+        if (isUploaded) {
+          results.push({ target, action: 'no-op', status: 'ok' })
+          continue
+        }
 
-    if (statusCode !== 200) {
-      throw new Error(`Could not change hotlink protection: ${statusCode}, error: ${JSON.stringify(response)}`)
+        const result = await runItem(target, target === 'tls_client_auth' ? 'update' : 'create', step)
+        results.push(result)
+        if (result.status === 'failed') break
+      }
     }
 
-    return response
+    return results
   }
 
-  async uploadTlsClientAuth ({ clientKey, clientCert, caCert, clear }) {
-    if (clear) {
-      await this.clearCustomCerts()
+  // Certificates already on the zone are recognized by fingerprint, so unchanged certificates plan no changes
+  async planTlsClientAuth ({ clientKey, clientCert, caCert, clear, minValidityDays }) {
+    const changes = []
+    const tlsClientAuth = clientKey && clientCert && caCert
+      ? loadTlsClientAuth({ clientKey, clientCert, caCert, minValidityDays })
+      : null
+
+    for (const warning of tlsClientAuth?.warnings ?? []) {
+      this.logger.warn(`${warning} for domain ${this.domain}`)
     }
 
-    if (clientKey && clientCert && caCert) {
-      try {
-        await fs.access(clientKey, fs.constants.R_OK)
-        await fs.access(clientCert, fs.constants.R_OK)
-        await fs.access(caCert, fs.constants.R_OK)
-      } catch (e) {
-        throw new Error(`Cancelling cert upload for domain ${this.domain}. Cannot access file: ${e?.message}`)
+    const current = await this.getTlsCertificates()
+    const desired = desiredTlsFingerprints(tlsClientAuth)
+
+    if (clear) {
+      for (const cert of current.clientCerts.filter(cert => !desired.clientCerts.includes(cert.fingerprint))) {
+        changes.push(planChange(`client certificate ${cert.id}`, cert.id, null, 'delete'))
+      }
+      for (const cert of current.caCerts.filter(cert => !desired.caCerts.includes(cert.fingerprint))) {
+        changes.push(planChange(`CA certificate ${cert.id}`, cert.id, null, 'delete'))
       }
+    }
 
-      const clientKeyContents = await fs.readFile(clientKey, 'utf8')
-      const clientCertContents = await fs.readFile(clientCert, 'utf8')
-      const caCertContents = await fs.readFile(caCert, 'utf8')
+    if (tlsClientAuth !== null) {
+      const planCertificate = (target, certificate, currentCerts) => {
+        const description = describeCertificate(certificate)
+        return currentCerts.some(cert => cert.fingerprint === certificate.fingerprint256)
+          ? planChange(target, description, description, 'no-op')
+          : planChange(target, null, description, 'create')
+      }
 
-      await this.uploadCertAndKey(clientCertContents, clientKeyContents)
-      await this.uploadCaCert(caCertContents)
-      await this.enableTLSClientAuth()
+      changes.push(planCertificate('client certificate', tlsClientAuth.certificate, current.clientCerts))
+      for (const caCertificate of tlsClientAuth.caCertificates) {
+        changes.push(planCertificate('CA certificate', caCertificate, current.caCerts))
+      }
+      changes.push(...await this.planZoneSetting('tls_client_auth', 'on'))
     }
+
+    return changes
   }
 
-  async clearCustomCerts () {
-    console.log(`Initiating certificate clear for domain ${this.domain}...`, new Date().toISOString())
-    const clientCertIds = await this.getClientCerts()
-    const caCertIds = await this.getCaCerts()
+  // Deletes the certificates of the zone, except for the ones with the fingerprints to keep
+  async clearCustomCerts (current, keep = { clientCerts: [], caCerts: [] }) {
+    this.logger.log(`Initiating certificate clear for domain ${this.domain}...`, new Date().toISOString())
+    const clientCertIds = current.clientCerts.filter(cert => !keep.clientCerts.includes(cert.fingerprint)).map(cert => cert.id)
+    const caCertIds = current.caCerts.filter(cert => !keep.caCerts.includes(cert.fingerprint)).map(cert => cert.id)
 
-    console.log(`Client certificates found for domain ${this.domain}: ${clientCertIds?.join(', ')}`, new Date().toISOString())
-    console.log(`CA certificates found for domain ${this.domain}: ${caCertIds?.join(', ')}`, new Date().toISOString())
+    this.logger.log(`Client certificates to delete for domain ${this.domain}: ${clientCertIds.join(', ')}`, new Date().toISOString())
+    this.logger.log(`CA certificates to delete for domain ${this.domain}: ${caCertIds.join(', ')}`, new Date().toISOString())
+
+    const results = []
 
     for (const cert of clientCertIds) {
-      try {
-        await this.deleteClientCert(cert)
-      } catch (e) {
-        console.error(`Failed to delete Client cert for domain ${this.domain}: ${e?.message}`, new Date().toISOString())
+      const result = await runItem(`client certificate ${cert}`, 'delete', () => this.deleteClientCert(cert))
+      if (result.status === 'failed') {
+        this.logger.error(`Failed to delete Client cert for domain ${this.domain}: ${result.error}`, new Date().toISOString())
       }
+      results.push(result)
     }
 
     for (const cert of caCertIds) {
-      try {
-        await this.deleteCaCert(cert)
-      } catch (e) {
-        console.error(`Failed to delete CA cert for domain ${this.domain}: ${e?.message}`, new Date().toISOString())
+      const result = await runItem(`CA certificate ${cert}`, 'delete', () => this.deleteCaCert(cert))
+      if (result.status === 'failed') {
+        this.logger.error(`Failed to delete CA cert for domain ${this.domain}: ${result.error}`, new Date().toISOString())
       }
+      results.push(result)
     }
-  }
 
-  async getClientCerts () {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/origin_tls_client_auth`
-    const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'GET',
-      headers: {
-        ...this.authorizationHeaders,
-        'Content-Type': 'application/json'
-      }
-    })
-    const response = await body.json()
+    return results
+  }
 
-    if (statusCode !== 200) {
-      console.error(`Could not get client certificate IDs for domain ${this.domain}: ${statusCode}, error: ${JSON.stringify(response)}`, new Date().toISOString())
-      throw new Error(`Could not get client certificate IDs for domain ${this.domain}: ${statusCode}, error: ${JSON.stringify(response)}`)
+  // IDs and fingerprints of the client and CA certificates of the zone
+  async getTlsCertificates () {
+    const withFingerprint = cert => ({ id: cert?.id, fingerprint: certificateFingerprint(cert?.certificate) })
+    return {
+      clientCerts: (await this.listClientCerts()).map(withFingerprint),
+      caCerts: (await this.listCaCerts()).map(withFingerprint)
     }
+  }
 
-    return response?.result?.map((cert) => cert?.id) ?? []
+  async getClientCerts () {
+    return (await this.listClientCerts()).map((cert) => cert?.id)
   }
 
   async getCaCerts () {
-    const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/acm/custom_trust_store`
-    const { statusCode, body } = await this.requestWithDelay(url, {
-      method: 'GET',
-      headers: {
-        ...this.authorizationHeaders,
-        'Content-Type': 'application/json'
-      }
-    })
-    const response = await body.json()
+    return (await this.listCaCerts()).map((cert) => cert?.id)
+  }
 
-    if (statusCode !== 200) {
-      console.error(`Could not get CA certificate IDs for domain ${this.domain}: ${statusCode}, error: ${JSON.stringify(response)}`, new Date().toISOString())
-      throw new Error(`Could not get CA certificate IDs for domain ${this.domain}: ${statusCode}, error: ${JSON.stringify(response)}`)
+  async listClientCerts () {
+    try {
+      const response = await this.listAll('origin_tls_client_auth', `client certificates for domain ${this.domain}`)
+      return response.result
+    } catch (e) {
+      this.logger.error(e.message, new Date().toISOString())
+      throw e
     }
+  }
 
-    return response?.result?.map((cert) => cert?.id) ?? []
+  async listCaCerts () {
+    try {
+      const response = await this.listAll('acm/custom_trust_store', `CA certificates for domain ${this.domain}`)
+      return response.result
+    } catch (e) {
+      this.logger.error(e.message, new Date().toISOString())
+      throw e
+    }
   }
 
   async deleteClientCert (certId) {
@@ -998,10 +1428,11 @@ class CloudFlare {
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not delete client certificate ID ${certId}: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not delete client certificate ID ${certId}: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
-    console.log(`Deleted client certificate ID ${certId} for ${this.domain}`, new Date().toISOString())
+    this.logger.log(`Deleted client certificate ID ${certId} for ${this.domain}`, new Date().toISOString())
+    return response
   }
 
   async deleteCaCert (certId) {
@@ -1016,11 +1447,12 @@ class CloudFlare {
     const response = await body.json()
 
     if (statusCode !== 200) {
-      console.error(`Could not delete CA certificate ID ${certId}: ${statusCode}, error: ${JSON.stringify(response)}`, new Date().toISOString())
-      throw new Error(`Could not delete CA certificate ID ${certId}: ${statusCode}, error: ${JSON.stringify(response)}`)
+      this.logger.error(`Could not delete CA certificate ID ${certId}: ${statusCode}, error: ${JSON.stringify(response)}`, new Date().toISOString())
+      throw new CloudflareApiError(`Could not delete CA certificate ID ${certId}: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
     }
 
-    console.log(`Deleted CA certificate ID ${certId} for ${this.domain}`, new Date().toISOString())
+    this.logger.log(`Deleted CA certificate ID ${certId} for ${this.domain}`, new Date().toISOString())
+    return response
   }
 
   async uploadCertAndKey (clientCert, clientKey) {
@@ -1044,14 +1476,15 @@ class CloudFlare {
     if (statusCode !== 200 && statusCode !== 201) {
       const errors = response?.errors ?? []
       if (errors.find((error) => error.code === 1406 && error.message === 'This certificate already exists for this zone.')) {
-        console.log(`This certificate already exists for domain ${this.domain}. Continuing...`, new Date().toISOString())
+        this.logger.log(`This certificate already exists for domain ${this.domain}. Continuing...`, new Date().toISOString())
       } else {
-        console.error(`Could not upload certificate and private key: ${statusCode}, error: ${JSON.stringify(response)}`, new Date().toISOString())
-        throw new Error(`Could not upload certificate and private key: ${statusCode}, error: ${JSON.stringify(response)}`)
+        this.logger.error(`Could not upload certificate and private key: ${statusCode}, error: ${JSON.stringify(response)}`, new Date().toISOString())
+        throw new CloudflareApiError(`Could not upload certificate and private key: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
       }
     }
 
-    console.log(`Client certificate uploaded for domain ${this.domain}, cert id: ${response?.result?.id}`, new Date().toISOString())
+    this.logger.log(`Client certificate uploaded for domain ${this.domain}, cert id: ${response?.result?.id}`, new Date().toISOString())
+    return response
   }
 
   async uploadCaCert (caCert) {
@@ -1074,13 +1507,14 @@ class CloudFlare {
     if (statusCode !== 200 && statusCode !== 201) {
       const errors = response?.errors ?? []
       if (errors.find((error) => error.code === 1406 && error.message === 'This certificate already exists for this zone.')) {
-        console.log(`This CA certificate already exists for domain ${this.domain}. Continuing...`)
+        this.logger.log(`This CA certificate already exists for domain ${this.domain}. Continuing...`)
       } else {
-        throw new Error(`Could not upload CA certificate: ${statusCode}, error: ${JSON.stringify(response)}`)
+        throw new CloudflareApiError(`Could not upload CA certificate: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
       }
     }
 
-    console.log(`CA certificate uploaded for domain ${this.domain}, cert id: ${response?.result?.id}`, new Date().toISOString())
+    this.logger.log(`CA certificate uploaded for domain ${this.domain}, cert id: ${response?.result?.id}`, new Date().toISOString())
+    return response
   }
 
   async enableTLSClientAuth () {
@@ -1097,16 +1531,95 @@ class CloudFlare {
     const response = await body.json()
 
     if (statusCode !== 200) {
-      throw new Error(`Could not enable TSL Client Auth setting: ${statusCode}, error: ${JSON.stringify(response)}`)
+      throw new CloudflareApiError(`Could not enable TSL Client Auth setting: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
+    }
+
+    this.logger.log(`Enabled TSL Client Auth setting for domain ${this.domain}`, new Date().toISOString())
+    return response
+  }
+
+  // Fetches every page of a list endpoint, endpoints without result_info are read in a single request
+  async listAll (path, description, perPage = 50) {
+    const result = []
+    let response
+
+    for (let page = 1; ; page++) {
+      const url = CLOUDFLARE_API_URL + `zones/${this.zoneId}/${path}?page=${page}&per_page=${perPage}`
+
+      const { statusCode, body } = await this.requestWithDelay(url, {
+        method: 'GET',
+        headers: {
+          ...this.authorizationHeaders,
+          'Content-Type': 'application/json'
+        }
+      })
+
+      response = await body.json()
+
+      if (statusCode !== 200) {
+        throw new CloudflareApiError(`Could not get ${description}: ${statusCode}, error: ${JSON.stringify(response)}`, statusCode, response)
+      }
+
+      const pageResult = response?.result ?? []
+      result.push(...pageResult)
+
+      const totalPages = response?.result_info?.total_pages
+      const isLastPage = totalPages === undefined
+        ? response?.result_info === undefined || pageResult.length < perPage
+        : page >= totalPages
+
+      if (isLastPage || pageResult.length === 0) break
     }
 
-    console.log(`Enabled TSL Client Auth setting for domain ${this.domain}`, new Date().toISOString())
+    return { ...response, result }
   }
 
+  // Waits for the shared rate limiter, then retries throttled, failed idempotent and timed out requests with backoff
   async requestWithDelay (url, options) {
-    const response = await request(url, options)
-    await delay(this.requestDelay)
-    return response
+    const isIdempotent = IDEMPOTENT_METHODS.includes(options.method)
+
+    for (let attempt = 0; ; attempt++) {
+      await this.rateLimiter.acquire()
+
+      let response
+      try {
+        response = await request(url, { ...options, headersTimeout: this.timeoutMs, bodyTimeout: this.timeoutMs })
+      } catch (error) {
+        if (!isIdempotent || attempt >= this.retries || !RETRYABLE_ERROR_CODES.includes(error.code)) {
+          throw error
+        }
+        this.logger.log(`Request ${options.method} ${url} failed with ${error.code}, retrying...`)
+        await delay(backoffDelay(attempt))
+        continue
+      }
+
+      this.rateLimiter.update(response.headers)
+
+      const { statusCode } = response
+      const isRetryable = statusCode === 429 || (statusCode >= 500 && isIdempotent)
+
+      if (!isRetryable || attempt >= this.retries) {
+        if (statusCode !== 429) {
+          this.rateLimiter.recover()
+        }
+        return response
+      }
+
+      if (statusCode === 429) {
+        this.rateLimiter.throttle()
+      }
+
+      await response.body.dump()
+
+      const retryAfterMs = parseRetryAfter(response.headers?.['retry-after'])
+      this.logger.log(`Request ${options.method} ${url} returned ${statusCode}, retrying...`)
+
+      if (retryAfterMs !== null) {
+        this.rateLimiter.pause(retryAfterMs)
+      } else {
+        await delay(backoffDelay(attempt))
+      }
+    }
   }
 }
 
@@ -1114,4 +1627,236 @@ function delay (delayMs) {
   return new Promise(resolve => setTimeout(resolve, delayMs))
 }
 
+// Exponential backoff with equal jitter
+function backoffDelay (attempt) {
+  const delayMs = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt)
+  return delayMs / 2 + Math.random() * delayMs / 2
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter (retryAfter) {
+  if (retryAfter === undefined) return null
+
+  const seconds = Number(retryAfter)
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000)
+
+  const date = Date.parse(retryAfter)
+  return isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+async function runItem (target, action, operation) {
+  const startedAt = Date.now()
+
+  try {
+    const response = await operation()
+    return { target, action, status: 'ok', response, durationMs: Date.now() - startedAt }
+  } catch (error) {
+    return {
+      target,
+      action,
+      status: 'failed',
+      error: error.message,
+      errorCode: error.code,
+      statusCode: error.statusCode,
+      response: error.response,
+      durationMs: Date.now() - startedAt
+    }
+  }
+}
+
+function desiredTlsFingerprints (tlsClientAuth) {
+  return {
+    clientCerts: tlsClientAuth === null ? [] : [tlsClientAuth.certificate.fingerprint256],
+    caCerts: tlsClientAuth === null ? [] : tlsClientAuth.caCertificates.map(cert => cert.fingerprint256)
+  }
+}
+
+function planChange (target, current, desired, action) {
+  const change = { action, target, current, desired }
+
+  if (action === 'update') {
+    change.differences = findDifferences(desired, current)
+  }
+
+  return change
+}
+
+// Lists every desired property whose current value differs, with a dotted path to it
+function findDifferences (desired, current, path = '') {
+  if (isSubset(desired, current)) return []
+
+  if (desired === null || typeof desired !== 'object' || Array.isArray(desired) ||
+    current === null || typeof current !== 'object' || Array.isArray(current)) {
+    return [{ path, current, desired }]
+  }
+
+  return Object.entries(desired).flatMap(([key, value]) => {
+    return findDifferences(value, current[key], path ? `${path}.${key}` : key)
+  })
+}
+
+// Checks that every property of the desired value is present and equal in the current one
+function isSubset (desired, current) {
+  if (desired === current) return true
+  if (typeof desired !== 'object' || desired === null || typeof current !== 'object' || current === null) {
+    return false
+  }
+  if (Array.isArray(desired)) {
+    return Array.isArray(current) &&
+      desired.length === current.length &&
+      desired.every((item, index) => isSubset(item, current[index]))
+  }
+  return Object.entries(desired).every(([key, value]) => isSubset(value, current[key]))
+}
+
+// Relative names and "@" are expanded against the zone domain, a trailing dot marks an absolute name
+function expandDNSRecordName (name, domain) {
+  if (name === '@') return domain
+  if (name.endsWith('.')) return name.slice(0, -1)
+
+  const lowerCaseName = name.toLowerCase()
+  const lowerCaseDomain = domain.toLowerCase()
+  if (lowerCaseName === lowerCaseDomain || lowerCaseName.endsWith('.' + lowerCaseDomain)) return name
+
+  return `${name}.${domain}`
+}
+
+function dnsRecordKey (record) {
+  return `${record.name.toLowerCase()} ${record.type}`
+}
+
+function dnsRecordValue (record) {
+  return record.content ?? JSON.stringify(record.data)
+}
+
+function dnsRecordTarget (record) {
+  return `${record.name} ${record.type} ${dnsRecordValue(record)}`
+}
+
+// Reads a worker script and builds its upload metadata. The metadata tags the script with a hash of the code and
+// metadata, so a later run can tell whether the deployed script is the same without downloading it
+async function prepareWorkerScript ({ path: scriptPath, format = 'module', compatibilityDate, compatibilityFlags, bindings = {} }) {
+  const fileName = path.basename(scriptPath)
+  const script = await fs.readFile(scriptPath, 'utf8')
+
+  const metadata = {
+    ...(format === 'module' ? { main_module: fileName } : { body_part: fileName }),
+    bindings: workerScriptBindings(bindings),
+    compatibility_date: compatibilityDate,
+    compatibility_flags: compatibilityFlags
+  }
+
+  const contentHash = createHash('sha256').update(JSON.stringify({ script, metadata })).digest('hex')
+  const contentTag = `content-sha256-${contentHash.slice(0, 32)}`
+
+  return { fileName, format, script, metadata: { ...metadata, tags: [contentTag] }, contentTag }
+}
+
+// Config bindings are maps of binding name -> namespace ID, variable value or secret value
+function workerScriptBindings ({ kvNamespaces = {}, vars = {}, secrets = {} }) {
+  return [
+    ...Object.entries(kvNamespaces).map(([name, namespaceId]) => ({ type: 'kv_namespace', name, namespace_id: namespaceId })),
+    ...Object.entries(vars).map(([name, text]) => ({ type: 'plain_text', name, text: String(text) })),
+    ...Object.entries(secrets).map(([name, text]) => ({ type: 'secret_text', name, text }))
+  ]
+}
+
+// Resources on the zone that are not declared in the config and are not protected from pruning
+function findPrunable (currentResources, isDeclared, prune, matchView = resource => resource) {
+  if (!prune) return []
+
+  return currentResources.filter(resource => {
+    return !isDeclared(resource) && !isProtected(matchView(resource), prune.protect ?? [])
+  })
+}
+
+// A resource is protected when all fields of any matcher equal its fields (or are contained in array fields)
+function isProtected (resource, protect) {
+  return protect.some(matcher => {
+    return Object.entries(matcher).every(([field, value]) => {
+      const currentValue = resource[field]
+      return Array.isArray(currentValue) ? currentValue.includes(value) : currentValue === value
+    })
+  })
+}
+
+// Spread "filter" property from deprecated rule API
+function spreadRuleFilter (rule) {
+  const { filter, ...rest } = rule ?? {}
+  return { ...rest, ...filter }
+}
+
+function isDeclaredRule (rules) {
+  return currentRule => rules.some(rule => isSameRule(rule, currentRule))
+}
+
+// Rules with a ref are identified by it, the others by their description. A rule without either matches none
+function isSameRule (rule, currentRule) {
+  if (rule.ref !== undefined) return rule.ref === currentRule.ref
+  return rule.description !== undefined && rule.description === currentRule.description
+}
+
+// Rules of the entrypoint ruleset that are not declared stay in the ruleset unless they are pruned
+function keepUndeclaredRules (rules, currentRules, prune) {
+  const prunableRules = findPrunable(currentRules, isDeclaredRule(rules), prune)
+  const keptRules = currentRules
+    .filter(currentRule => !isDeclaredRule(rules)(currentRule) && !prunableRules.includes(currentRule))
+    .map(({ version, last_updated: lastUpdated, ...rule }) => rule)
+
+  return [...rules, ...keptRules]
+}
+
+function isDeclaredPageRule (pageRules) {
+  return currentPageRule => pageRules.some(pageRule => findPageRule([currentPageRule], pageRule) !== undefined)
+}
+
+// Page rules are matched by their target URLs in protection lists
+function pageRuleMatchView (pageRule) {
+  return { ...pageRule, target: pageRule.targets.map(({ constraint }) => constraint?.value) }
+}
+
+// Page rules are identified by their whole set of targets
+function findPageRule (currentPageRules, pageRule) {
+  return currentPageRules.find(currentPageRule => {
+    return currentPageRule.targets.length === pageRule.targets.length &&
+      currentPageRule.targets.every(currentTarget => pageRule.targets.some(target => isSamePageRuleTarget(currentTarget, target)))
+  })
+}
+
+function isSamePageRuleTarget (target, otherTarget) {
+  return target.target === otherTarget.target &&
+    target.constraint?.operator === otherTarget.constraint?.operator &&
+    target.constraint?.value === otherTarget.constraint?.value
+}
+
+function pageRuleTarget (pageRule) {
+  return pageRule.targets.map(({ constraint }) => constraint?.value).join(', ')
+}
+
+// Cloudflare applies the page rule with the highest priority first, so the first rule of the config gets the
+// highest priority, above every undeclared rule that is kept. An explicit priority in the config wins
+function reconcilePageRules (pageRules, currentPageRules, prune) {
+  const prunablePageRules = findPrunable(currentPageRules, isDeclaredPageRule(pageRules), prune, pageRuleMatchView)
+  const keptPageRuleCount = currentPageRules.filter(currentPageRule => {
+    return !isDeclaredPageRule(pageRules)(currentPageRule) && !prunablePageRules.includes(currentPageRule)
+  }).length
+
+  const operations = pageRules.map((declaredPageRule, index) => {
+    const pageRule = { ...declaredPageRule, priority: declaredPageRule.priority ?? keptPageRuleCount + pageRules.length - index }
+    const currentPageRule = findPageRule(currentPageRules, pageRule)
+
+    if (currentPageRule === undefined) {
+      return { action: 'create', pageRule, currentPageRule: null }
+    }
+
+    return { action: isSubset(pageRule, currentPageRule) ? 'no-op' : 'update', pageRule, currentPageRule }
+  })
+
+  for (const currentPageRule of prunablePageRules) {
+    operations.push({ action: 'delete', pageRule: null, currentPageRule })
+  }
+
+  return operations
+}
+
 module.exports = CloudFlare
@@ -0,0 +1,124 @@
+'use strict'
+
+const fs = require('node:fs/promises')
+const path = require('node:path')
+const { pathToFileURL } = require('node:url')
+const YAML = require('yaml')
+const { mergeSettings, flattenSettings } = require('./settings')
+const template = require('./template')
+
+// Built-in configs that can be extended by name
+const profiles = {
+  template: { settings: template }
+}
+
+async function loadConfig (configPath) {
+  const absolutePath = path.resolve(configPath)
+  return resolveConfig(await readConfigFile(absolutePath), { baseDir: path.dirname(absolutePath) }, [absolutePath])
+}
+
+async function readConfigFile (absolutePath) {
+  switch (path.extname(absolutePath)) {
+    case '.json':
+      return JSON.parse(await fs.readFile(absolutePath, 'utf8'))
+    case '.yaml':
+    case '.yml':
+      return YAML.parse(await fs.readFile(absolutePath, 'utf8'))
+    case '.js':
+    case '.cjs':
+    case '.mjs': {
+      const exported = await import(pathToFileURL(absolutePath).href)
+      return exported.default ?? exported
+    }
+    default:
+      throw new Error(`Unsupported config file type: ${absolutePath}`)
+  }
+}
+
+// Merges the configs named in `extends` (profile names or file paths relative to baseDir) in order, then the
+// config itself over them. Extended configs can extend others in turn
+async function resolveConfig (config, { baseDir = process.cwd() } = {}, extending = []) {
+  if (config === null || typeof config !== 'object' || config.extends === undefined) {
+    return config
+  }
+
+  const { extends: bases, ...ownConfig } = config
+  let resolved = {}
+
+  for (const base of [].concat(bases)) {
+    if (typeof base !== 'string') {
+      throw new Error(`Config extends must be a profile name or a file path, got ${JSON.stringify(base)}`)
+    }
+
+    if (Object.hasOwn(profiles, base)) {
+      resolved = mergeConfigs(resolved, profiles[base])
+      continue
+    }
+
+    const basePath = path.resolve(baseDir, base)
+    if (extending.includes(basePath)) {
+      throw new Error(`Config ${basePath} extends itself through ${extending.join(' -> ')}`)
+    }
+
+    let baseConfig
+    try {
+      baseConfig = await readConfigFile(basePath)
+    } catch (e) {
+      throw new Error(`Could not load config ${base} extended in ${extending.at(-1) ?? 'config'}: ${e.message}`)
+    }
+
+    const resolvedBase = await resolveConfig(baseConfig, { baseDir: path.dirname(basePath) }, [...extending, basePath])
+    resolved = mergeConfigs(resolved, resolvedBase)
+  }
+
+  return mergeConfigs(resolved, ownConfig)
+}
+
+// Settings are flattened first, so a config can override a grouped or aliased setting in either shape
+function mergeConfigs (base, override) {
+  const { domains: baseSites, ...baseConfig } = withFlatSettings(base)
+  const { domains: sites, ...overrideConfig } = withFlatSettings(override)
+  const merged = mergeSettings(baseConfig, overrideConfig)
+  const mergedSites = mergeSites(baseSites, sites)
+
+  return mergedSites === undefined ? merged : { ...merged, domains: mergedSites }
+}
+
+// Sites are merged by domain. Their settings override the shared settings later on, so the removal markers in
+// them are kept for resolveSiteSettings
+function mergeSites (baseSites, sites) {
+  if (!Array.isArray(baseSites) || !Array.isArray(sites)) {
+    return sites ?? baseSites
+  }
+
+  const merged = [...baseSites]
+  for (const site of sites) {
+    const index = merged.findIndex(baseSite => baseSite?.domain === site?.domain)
+
+    if (index === -1 || !isPlainObject(site) || !isPlainObject(merged[index])) {
+      merged.push(site)
+      continue
+    }
+
+    const { settings: baseSettings, ...baseSite } = withFlatSettings(merged[index])
+    const { settings, ...overrideSite } = withFlatSettings(site)
+    merged[index] = {
+      ...mergeSettings(baseSite, overrideSite),
+      ...((baseSettings ?? settings) !== undefined && {
+        settings: mergeSettings(baseSettings ?? {}, settings ?? {}, { keepMarkers: true })
+      })
+    }
+  }
+
+  return merged
+}
+
+function withFlatSettings (config) {
+  return isPlainObject(config?.settings) ? { ...config, settings: flattenSettings(config.settings) } : config
+}
+
+function isPlainObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+module.exports = { loadConfig, resolveConfig, profiles }
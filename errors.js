@@ -0,0 +1,21 @@
+'use strict'
+
+class CloudflareApiError extends Error {
+  constructor (message, statusCode, response) {
+    super(message)
+    this.name = 'CloudflareApiError'
+    this.statusCode = statusCode
+    this.response = response
+    this.code = response?.errors?.[0]?.code
+  }
+}
+
+class ProvisioningError extends Error {
+  constructor (message, report) {
+    super(message)
+    this.name = 'ProvisioningError'
+    this.report = report
+  }
+}
+
+module.exports = { CloudflareApiError, ProvisioningError }
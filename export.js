@@ -0,0 +1,89 @@
+'use strict'
+
+const { rulesetPhases, rulesetPhaseSettings, templatizeDomainName } = require('./settings')
+
+const dnsRecordFields = ['type', 'name', 'content', 'data', 'ttl', 'proxied', 'priority', 'comment', 'tags']
+const rulesetRuleFields = ['ref', 'description', 'expression', 'action', 'action_parameters', 'enabled', 'logging', 'ratelimit']
+const pageRuleFields = ['targets', 'actions', 'status', 'priority']
+
+// `keys` limits the export to these config keys, `zoneSettingIds` to these zone settings and `phases` to these
+// rulesets, which are then exported even when empty
+async function exportZoneSettings (cloudFlare, { templatize = false, keys, zoneSettingIds, phases } = {}) {
+  const settings = {}
+  const includes = key => keys === undefined || keys.includes(key)
+
+  if (includes('zoneSettings')) {
+    // Read-only settings are left out, applying them would fail
+    const { result: zoneSettings } = await cloudFlare.getZoneSettings()
+    settings.zoneSettings = Object.fromEntries((zoneSettings ?? [])
+      .filter(zoneSetting => zoneSetting.editable !== false)
+      .filter(zoneSetting => zoneSettingIds === undefined || zoneSettingIds.includes(zoneSetting.id))
+      .map(zoneSetting => [zoneSetting.id, zoneSetting.value]))
+  }
+
+  if (includes('argoSmartRouting')) {
+    const { result: argoSmartRouting } = await cloudFlare.getArgoSmartRouting()
+    settings.argoSmartRouting = argoSmartRouting?.value
+  }
+
+  if (includes('dnsRecords')) {
+    const { result: dnsRecords } = await cloudFlare.getDNSRecords()
+    settings.dnsRecords = dnsRecords.map(dnsRecord => pick(dnsRecord, dnsRecordFields))
+  }
+
+  // Entrypoint rulesets are read without being created, an export never writes to the zone
+  if (includes('firewallRules')) {
+    const firewallRuleset = await cloudFlare.getEntrypointRuleset('http_request_firewall_custom')
+    settings.firewallRules = (firewallRuleset?.rules ?? []).map(rule => pick(rule, rulesetRuleFields))
+  }
+
+  if (includes('redirectRules')) {
+    const redirectRuleset = await cloudFlare.getEntrypointRuleset('http_request_dynamic_redirect')
+    settings.redirectRules = (redirectRuleset?.rules ?? []).map(rule => pick(rule, rulesetRuleFields))
+  }
+
+  if (includes('rulesets')) {
+    const otherPhases = rulesetPhases.filter(phase => !Object.values(rulesetPhaseSettings).includes(phase))
+    settings.rulesets = {}
+
+    for (const phase of phases ?? otherPhases) {
+      const ruleset = await cloudFlare.getEntrypointRuleset(phase)
+      if (ruleset?.rules.length > 0 || phases !== undefined) {
+        settings.rulesets[phase] = (ruleset?.rules ?? []).map(rule => pick(rule, rulesetRuleFields))
+      }
+    }
+  }
+
+  if (includes('workers')) {
+    const { result: workerRoutes } = await cloudFlare.getWorkerRoutes()
+    settings.workers = workerRoutes.map(route => ({ pattern: route.pattern, script: route.script || null }))
+  }
+
+  if (includes('pageRules')) {
+    const { result: pageRules } = await cloudFlare.getPageRules()
+    settings.pageRules = pageRules.map(pageRule => pick(pageRule, pageRuleFields))
+  }
+
+  if (includes('tlsClientAuth')) {
+    const clientCertIds = await cloudFlare.getClientCerts()
+    if (clientCertIds.length > 0) {
+      cloudFlare.logger.warn(`Client certificates of domain ${cloudFlare.domain} cannot be exported and are left out of the config: ${clientCertIds.join(', ')}`)
+    }
+  }
+
+  return templatize ? templatizeDomainName(settings, cloudFlare.domain) : settings
+}
+
+function pick (source, fields) {
+  const result = {}
+
+  for (const field of fields) {
+    if (source[field] !== undefined && source[field] !== null && source[field] !== '') {
+      result[field] = source[field]
+    }
+  }
+
+  return result
+}
+
+module.exports = { exportZoneSettings }
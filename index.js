@@ -1,79 +1,608 @@
 'use strict'
 
+const fs = require('node:fs/promises')
+const { format } = require('node:util')
 const template = require('./template')
 const CloudFlare = require('./cloudflare')
+const RateLimiter = require('./rate-limiter')
+const { normalizeSettings, normalizePruneOptions, prunableSettings, resolveSiteSettings } = require('./settings')
+const { validateConfig, formatValidationErrors } = require('./validate')
+const { loadConfig, resolveConfig } = require('./config')
+const { CloudflareApiError, ProvisioningError } = require('./errors')
+const { exportZoneSettings } = require('./export')
+const { convertPageRules, escapeWildcardReferences } = require('./migrate')
 
 const cloudflareSettingsHandlers = {
-  ssl: CloudFlare.prototype.setSSL,
-  ipV6: CloudFlare.prototype.setIPv6,
-  emailObfuscation: CloudFlare.prototype.setEmailObfuscation,
-  brotli: CloudFlare.prototype.setBrotli,
+  zoneSettings: CloudFlare.prototype.setZoneSettings,
   dnsRecords: CloudFlare.prototype.rewriteDNSRecords,
   firewallRules: CloudFlare.prototype.rewriteFirewallRules,
   redirectRules: CloudFlare.prototype.rewriteRedirectRules,
-  polish: CloudFlare.prototype.setPolish,
-  minify: CloudFlare.prototype.setMinify,
-  http2Prioritization: CloudFlare.prototype.setHTTP2Prioritization,
-  prefetchURLs: CloudFlare.prototype.setPrefetchURLs,
-  http2: CloudFlare.prototype.setHttp2,
-  http3: CloudFlare.prototype.setHttp3,
-  '0-RTT': CloudFlare.prototype.set0RTT,
-  argoSmartRouting: CloudFlare.prototype.setArgoSmartRouting,
+  rulesets: CloudFlare.prototype.rewriteRulesets,
+  argoSmartRouting: CloudFlare.prototype.rewriteArgoSmartRouting,
+  workerScripts: CloudFlare.prototype.uploadWorkerScripts,
   workers: CloudFlare.prototype.rewriteWorkerRoutes,
   pageRules: CloudFlare.prototype.rewritePageRules,
-  hotlinkProtection: CloudFlare.prototype.setHotlinkProtection,
   tlsClientAuth: CloudFlare.prototype.uploadTlsClientAuth
 }
 
-function substituteDomainName (settings, domainName) {
-  return JSON.parse(JSON.stringify(settings).replaceAll('$DOMAIN', domainName))
+const cloudflarePlanHandlers = {
+  zoneSettings: CloudFlare.prototype.planZoneSettings,
+  dnsRecords: CloudFlare.prototype.planDNSRecords,
+  firewallRules: CloudFlare.prototype.planFirewallRules,
+  redirectRules: CloudFlare.prototype.planRedirectRules,
+  rulesets: CloudFlare.prototype.planRulesets,
+  argoSmartRouting: CloudFlare.prototype.planArgoSmartRouting,
+  workerScripts: CloudFlare.prototype.planWorkerScripts,
+  workers: CloudFlare.prototype.planWorkerRoutes,
+  pageRules: CloudFlare.prototype.planPageRules,
+  tlsClientAuth: CloudFlare.prototype.planTlsClientAuth
 }
 
-async function applyCloudflareSettings (config) {
-  if (config.domains === undefined) {
-    throw new Error('No domains defined in config')
+function assertValidConfig (config) {
+  const errors = validateConfig(config)
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid Cloudflare config:\n${formatValidationErrors(errors)}`)
   }
+}
+
+function createRateLimiter () {
+  const requestDelayMs = isNaN(parseInt(process.env.DELAY_MS, 10)) ? 500 : parseInt(process.env.DELAY_MS, 10)
 
+  return new RateLimiter({ requestsPerSecond: requestDelayMs > 0 ? 1000 / requestDelayMs : Infinity })
+}
+
+function createCloudFlare (site, rateLimiter, logger, accountId) {
   const accountEmail = process.env.CLOUDFLARE_EMAIL
   const accountKey = process.env.CLOUDFLARE_API_KEY
   const accountToken = process.env.CLOUDFLARE_TOKEN
-  const requestDelayMs = isNaN(parseInt(process.env.DELAY_MS, 10)) ? 500 : parseInt(process.env.DELAY_MS, 10)
+  const retries = isNaN(parseInt(process.env.MAX_RETRIES, 10)) ? 3 : parseInt(process.env.MAX_RETRIES, 10)
+  const timeoutMs = isNaN(parseInt(process.env.REQUEST_TIMEOUT_MS, 10)) ? 30000 : parseInt(process.env.REQUEST_TIMEOUT_MS, 10)
 
-  if (config.enabled === false) {
-    console.log('Config is disabled and would not be applied:', config.domains)
-    return
+  const credentials =
+    (site.token && { token: site.token }) ||
+    (accountToken && { token: accountToken }) ||
+    { email: accountEmail, apiKey: accountKey }
+
+  return new CloudFlare(site.zoneId, site.domain, { ...credentials, accountId, retries, timeoutMs, rateLimiter, logger })
+}
+
+// Sites without a zone ID are looked up by domain name, and their zone is created when the site asks for it
+async function resolveZone (cloudFlare, site, accountId, { dryRun = false } = {}) {
+  if (site.zoneId !== undefined) {
+    return { zoneId: site.zoneId, created: false }
+  }
+
+  const zone = await cloudFlare.findZone(accountId)
+  if (zone !== null) {
+    cloudFlare.zoneId = zone.id
+    return { zoneId: zone.id, created: false }
+  }
+
+  if (!site.createZone) {
+    throw new Error(`Cloudflare zone for domain ${site.domain} was not found`)
+  }
+
+  if (!accountId) {
+    throw new Error(`Cloudflare account ID is required to create the zone for domain ${site.domain}`)
+  }
+
+  const { type = 'full', plan, jumpStart = false } = site.createZone === true ? {} : site.createZone
+
+  if (dryRun) {
+    return { zoneId: null, created: false, plannedZone: { name: site.domain, type, plan } }
   }
 
-  const { domains: sites, settings } = config
+  const createdZone = await cloudFlare.createZone(accountId, { type, jumpStart })
+  if (plan !== undefined) {
+    await cloudFlare.setZonePlan(plan)
+  }
+
+  return { zoneId: createdZone.id, created: true, nameServers: createdZone.name_servers }
+}
+
+function getAccountId (config, site) {
+  return site.accountId ?? config.accountId ?? process.env.CLOUDFLARE_ACCOUNT_ID
+}
+
+// Settings of every site with its overrides merged in and its variables substituted. They are all resolved before
+// the first zone is touched, so an undefined variable stops the run before anything is written
+function resolveSitesSettings (config) {
+  return new Map(config.domains.map(site => [site, normalizeSettings(resolveSiteSettings(config, site))]))
+}
+
+// Runs the mapper over all items with at most `concurrency` of them in flight, results keep the item order
+async function mapWithConcurrency (items, concurrency, mapper) {
+  const results = new Array(items.length)
+  let nextIndex = 0
 
-  for (const site of sites) {
-    const zoneId = site.zoneId
-    if (zoneId === undefined) {
-      throw new Error('Cloudflare zone ID is not defined')
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++
+      results[index] = await mapper(items[index], index)
     }
+  }
 
-    const options =
-      (site.token && { token: site.token }) ||
-      (accountToken && { token: accountToken }) ||
-      { email: accountEmail, apiKey: accountKey }
+  const workerCount = Math.min(Math.max(1, concurrency), items.length)
+  await Promise.all(Array.from({ length: workerCount }, worker))
+  return results
+}
 
-    const cloudFlare = new CloudFlare(zoneId, site.domain, options, requestDelayMs)
-    const domainSettings = substituteDomainName(settings, site.domain)
+// Zones processed in parallel collect their log lines and print them together once the zone is done
+async function runZones (sites, concurrency, processSite) {
+  return mapWithConcurrency(sites, concurrency, async site => {
+    if (concurrency <= 1) {
+      return processSite(site, console)
+    }
 
-    for (const [key, value] of Object.entries(domainSettings)) {
+    const lines = []
+    const logger = {
+      log: (...args) => lines.push(['log', format(...args)]),
+      warn: (...args) => lines.push(['warn', format(...args)]),
+      error: (...args) => lines.push(['error', format(...args)])
+    }
+
+    let result
+    try {
+      result = await processSite(site, logger)
+      return result
+    } finally {
+      // Zones found by domain only have their ID once they are resolved
+      const zoneId = result?.zoneId ?? site.zoneId
+      if (lines.length > 0) {
+        console.log(zoneId ? `--- ${site.domain} (${zoneId}) ---` : `--- ${site.domain} ---`)
+        for (const [method, line] of lines) {
+          console[method](line)
+        }
+      }
+    }
+  })
+}
+
+async function planCloudflareSettings (config, { concurrency = 1, settingConcurrency = 1 } = {}) {
+  if (config.domains === undefined) {
+    throw new Error('No domains defined in config')
+  }
+
+  if (config.enabled === false) {
+    console.log('Config is disabled and would not be planned:', config.domains)
+    return []
+  }
+
+  assertValidConfig(config)
+
+  const sites = config.domains
+  const rateLimiter = createRateLimiter()
+  const sitesSettings = resolveSitesSettings(config)
+  const handlerContext = { pruneOptions: normalizePruneOptions(config.prune), rulesetMode: config.rulesetMode }
+
+  return runZones(sites, concurrency, async (site, logger) => {
+    const cloudFlare = createCloudFlare(site, rateLimiter, logger, getAccountId(config, site))
+    const domainSettings = sitesSettings.get(site)
+
+    let zone
+    try {
+      zone = await resolveZone(cloudFlare, site, getAccountId(config, site), { dryRun: true })
+    } catch (error) {
+      logger.error(`Failed to resolve Cloudflare zone for domain ${site.domain}: ${error.message}\n`)
+      return { domain: site.domain, zoneId: null, settings: [{ setting: 'zone', error: error.message }] }
+    }
+
+    // Settings of a zone that does not exist yet cannot be compared, the zone creation is the whole plan
+    if (zone.plannedZone !== undefined) {
+      const changes = [{ action: 'create', target: site.domain, current: null, desired: zone.plannedZone }]
+      return { domain: site.domain, zoneId: null, settings: [{ setting: 'zone', changes }] }
+    }
+
+    const settingPlans = await mapWithConcurrency(Object.entries(domainSettings), settingConcurrency, async ([key, value]) => {
       try {
-        const settingHandler = cloudflareSettingsHandlers[key]
+        const planHandler = cloudflarePlanHandlers[key]
 
-        if (settingHandler === undefined) {
+        if (planHandler === undefined) {
           throw new Error(`Unsupported Cloudflare setting: ${key}, for domain: ${site.domain}`)
         }
 
-        await settingHandler.call(cloudFlare, value)
+        return { setting: key, changes: await planHandler.call(cloudFlare, value, settingHandlerOptions(domainSettings, handlerContext, key)) }
       } catch (error) {
-        console.error(`Failed to set Cloudflare setting ${key} for domain ${site.domain}: ${error.message}\n`)
+        logger.error(`Failed to plan Cloudflare setting ${key} for domain ${site.domain}: ${error.message}\n`)
+        return { setting: key, error: error.message }
+      }
+    })
+
+    return { domain: site.domain, zoneId: zone.zoneId, settings: settingPlans }
+  })
+}
+
+async function detectDrift (config, options) {
+  const plan = await planCloudflareSettings(config, options)
+  const report = { drifted: false, failed: false, sites: [] }
+
+  for (const zonePlan of plan) {
+    const siteReport = { domain: zonePlan.domain, zoneId: zonePlan.zoneId, drifted: false, drift: [], errors: [] }
+
+    for (const { setting, changes, error } of zonePlan.settings) {
+      if (error !== undefined) {
+        siteReport.errors.push({ setting, error })
+        continue
+      }
+
+      for (const { action, target, current, desired, differences } of changes) {
+        if (action === 'no-op') continue
+
+        // create: declared but missing on the zone, delete: present on the zone but not declared
+        siteReport.drift.push({
+          setting,
+          target,
+          kind: { create: 'missing', delete: 'unmanaged', update: 'changed' }[action],
+          differences: differences ?? [{ path: '', current, desired }]
+        })
       }
     }
+
+    siteReport.drifted = siteReport.drift.length > 0
+    report.drifted = report.drifted || siteReport.drifted
+    report.failed = report.failed || siteReport.errors.length > 0
+    report.sites.push(siteReport)
   }
+
+  return report
 }
 
-module.exports = { applyCloudflareSettings, template }
+async function applyCloudflareSettings (config, {
+  dryRun = false,
+  throwOnFailure = false,
+  concurrency = 1,
+  settingConcurrency = 1,
+  snapshotPath,
+  rollbackOnFailure = false
+} = {}) {
+  if (dryRun) {
+    return planCloudflareSettings(config, { concurrency, settingConcurrency })
+  }
+
+  if (config.domains === undefined) {
+    throw new Error('No domains defined in config')
+  }
+
+  if (config.enabled === false) {
+    console.log('Config is disabled and would not be applied:', config.domains)
+    return { status: 'skipped', durationMs: 0, sites: [] }
+  }
+
+  assertValidConfig(config)
+
+  const sites = config.domains
+  const rateLimiter = createRateLimiter()
+  const sitesSettings = resolveSitesSettings(config)
+  const handlerContext = {
+    pruneOptions: normalizePruneOptions(config.prune),
+    rulesetMode: config.rulesetMode,
+    workerScriptUploads: new Map()
+  }
+  const startedAt = Date.now()
+  const report = { status: 'ok', durationMs: 0, sites: [] }
+
+  // Every zone is snapshotted before the first write, so a run that breaks midway can be restored
+  const siteSnapshots = new Map()
+  if (snapshotPath !== undefined || rollbackOnFailure) {
+    const snapshot = await snapshotCloudflareSettings(config, { concurrency })
+    if (snapshotPath !== undefined) {
+      await fs.writeFile(snapshotPath, JSON.stringify(snapshot, null, 2) + '\n')
+    }
+    sites.forEach((site, index) => siteSnapshots.set(site, snapshot.domains[index]))
+  }
+
+  report.sites = await runZones(sites, concurrency, async (site, logger) => {
+    const cloudFlare = createCloudFlare(site, rateLimiter, logger, getAccountId(config, site))
+    const domainSettings = sitesSettings.get(site)
+    const siteStartedAt = Date.now()
+    const siteSnapshot = siteSnapshots.get(site)
+
+    let zone
+    try {
+      if (siteSnapshot?.error !== undefined) {
+        throw new Error(`Could not snapshot the zone: ${siteSnapshot.error}`)
+      }
+      zone = await resolveZone(cloudFlare, site, getAccountId(config, site))
+    } catch (error) {
+      logger.error(`Failed to resolve Cloudflare zone for domain ${site.domain}: ${error.message}\n`)
+      return {
+        domain: site.domain,
+        zoneId: null,
+        status: 'failed',
+        durationMs: Date.now() - siteStartedAt,
+        settings: [{ setting: 'zone', status: 'failed', error: error.message, errorCode: error.code, statusCode: error.statusCode }]
+      }
+    }
+
+    const settingReports = await applyZoneSettings(cloudFlare, site, domainSettings, handlerContext, settingConcurrency)
+    const siteReport = {
+      domain: site.domain,
+      zoneId: zone.zoneId,
+      ...(zone.created && { zoneCreated: true, nameServers: zone.nameServers }),
+      status: settingReports.some(settingReport => settingReport.status === 'failed') ? 'failed' : 'ok',
+      durationMs: 0,
+      settings: settingReports
+    }
+
+    if (siteReport.status === 'failed' && rollbackOnFailure && siteSnapshot?.settings) {
+      logger.warn(`Rolling back Cloudflare settings of domain ${site.domain} to the snapshot taken before the run`)
+      const rollbackReports = await restoreZoneSettings(cloudFlare, site, siteSnapshot.settings, settingConcurrency)
+      siteReport.rollback = {
+        status: rollbackReports.some(settingReport => settingReport.status === 'failed') ? 'failed' : 'ok',
+        settings: rollbackReports
+      }
+    }
+
+    siteReport.durationMs = Date.now() - siteStartedAt
+    return siteReport
+  })
+
+  return completeReport(report, startedAt, throwOnFailure, 'Failed to apply Cloudflare settings')
+}
+
+// Worker scripts are uploaded before any other setting, so routes never point at a script that is not deployed yet,
+// and routes to scripts that failed to upload are left alone
+async function applyZoneSettings (cloudFlare, site, settings, handlerContext, settingConcurrency) {
+  const settingReports = []
+  let failedWorkerScripts = []
+
+  if (settings.workerScripts !== undefined) {
+    const settingReport = await applySetting(cloudFlare, site, 'workerScripts', settings.workerScripts, settingHandlerOptions(settings, handlerContext, 'workerScripts'))
+    settingReports.push(settingReport)
+
+    failedWorkerScripts = settingReport.items !== undefined
+      ? settingReport.items.filter(item => item.status === 'failed').map(item => item.target)
+      : settingReport.status === 'failed' ? settings.workerScripts.map(workerScript => workerScript.name) : []
+  }
+
+  const zoneContext = { ...handlerContext, failedWorkerScripts }
+  const otherSettings = Object.entries(settings).filter(([key]) => key !== 'workerScripts')
+  settingReports.push(...await mapWithConcurrency(otherSettings, settingConcurrency, ([key, value]) => {
+    return applySetting(cloudFlare, site, key, value, settingHandlerOptions(settings, zoneContext, key))
+  }))
+
+  return settingReports
+}
+
+function settingHandlerOptions (settings, { pruneOptions, rulesetMode, workerScriptUploads, failedWorkerScripts }, key) {
+  return {
+    prune: pruneOptions[key],
+    rulesetMode,
+    workerScripts: (settings.workerScripts ?? []).map(workerScript => workerScript.name),
+    workerScriptUploads,
+    failedWorkerScripts
+  }
+}
+
+// Restoring prunes every list in the snapshot and replaces whole rulesets, so records and rules created by the run
+// are deleted again
+async function restoreZoneSettings (cloudFlare, site, settings, settingConcurrency) {
+  const pruneOptions = Object.fromEntries(prunableSettings
+    .filter(key => settings[key] !== undefined)
+    .map(key => [key, { protect: [] }]))
+
+  return applyZoneSettings(cloudFlare, site, settings, { pruneOptions, rulesetMode: 'replace' }, settingConcurrency)
+}
+
+function completeReport (report, startedAt, throwOnFailure, failureMessage) {
+  if (report.sites.some(siteReport => siteReport.status === 'failed')) {
+    report.status = 'failed'
+  }
+  report.durationMs = Date.now() - startedAt
+
+  if (throwOnFailure && report.status === 'failed') {
+    const failedSettings = report.sites.flatMap(siteReport => {
+      return siteReport.settings
+        .filter(settingReport => settingReport.status === 'failed')
+        .map(settingReport => `${siteReport.domain}: ${settingReport.setting}`)
+    })
+    throw new ProvisioningError(`${failureMessage}: ${failedSettings.join(', ')}`, report)
+  }
+
+  return report
+}
+
+// Reads the current state of everything the config manages, zones that do not exist yet have no settings
+async function snapshotCloudflareSettings (config, { concurrency = 1 } = {}) {
+  if (config.domains === undefined) {
+    throw new Error('No domains defined in config')
+  }
+
+  assertValidConfig(config)
+
+  const rateLimiter = createRateLimiter()
+  const sitesSettings = resolveSitesSettings(config)
+  const createdAt = new Date().toISOString()
+
+  const domains = await runZones(config.domains, concurrency, async (site, logger) => {
+    const cloudFlare = createCloudFlare(site, rateLimiter, logger, getAccountId(config, site))
+    const settings = sitesSettings.get(site)
+    const keys = Object.keys(settings).filter(key => key !== 'tlsClientAuth')
+    const zoneSettingIds = Object.keys(settings.zoneSettings ?? {})
+    const phases = Object.keys(settings.rulesets ?? {})
+
+    try {
+      const zone = await resolveZone(cloudFlare, site, getAccountId(config, site), { dryRun: true })
+      if (zone.plannedZone !== undefined) {
+        return { domain: site.domain, zoneId: null, settings: null }
+      }
+
+      if (settings.tlsClientAuth !== undefined) {
+        logger.warn(`Client certificates of domain ${site.domain} are not part of the snapshot and cannot be restored`)
+      }
+
+      return { domain: site.domain, zoneId: zone.zoneId, settings: await exportZoneSettings(cloudFlare, { keys, zoneSettingIds, phases }) }
+    } catch (error) {
+      logger.error(`Failed to snapshot Cloudflare settings of domain ${site.domain}: ${error.message}\n`)
+      return { domain: site.domain, zoneId: site.zoneId ?? null, error: error.message }
+    }
+  })
+
+  return { createdAt, domains }
+}
+
+async function restoreCloudflareSettings (snapshot, { throwOnFailure = false, concurrency = 1, settingConcurrency = 1 } = {}) {
+  if (snapshot?.domains === undefined) {
+    throw new Error('No domains defined in snapshot')
+  }
+
+  const rateLimiter = createRateLimiter()
+  const startedAt = Date.now()
+  const report = { status: 'ok', durationMs: 0, sites: [] }
+
+  const sites = snapshot.domains.filter(site => {
+    if (site.zoneId && site.settings) return true
+    console.warn(`Skipping domain ${site.domain}, the snapshot holds no settings for it`)
+    return false
+  })
+
+  report.sites = await runZones(sites, concurrency, async (site, logger) => {
+    const cloudFlare = createCloudFlare(site, rateLimiter, logger)
+    const siteStartedAt = Date.now()
+    const settingReports = await restoreZoneSettings(cloudFlare, site, site.settings, settingConcurrency)
+
+    return {
+      domain: site.domain,
+      zoneId: site.zoneId,
+      status: settingReports.some(settingReport => settingReport.status === 'failed') ? 'failed' : 'ok',
+      durationMs: Date.now() - siteStartedAt,
+      settings: settingReports
+    }
+  })
+
+  return completeReport(report, startedAt, throwOnFailure, 'Failed to restore Cloudflare settings')
+}
+
+async function applySetting (cloudFlare, site, key, value, handlerOptions, settingHandler = cloudflareSettingsHandlers[key]) {
+  const startedAt = Date.now()
+  const settingReport = { setting: key, status: 'ok' }
+
+  try {
+    if (settingHandler === undefined) {
+      throw new Error(`Unsupported Cloudflare setting: ${key}, for domain: ${site.domain}`)
+    }
+
+    const result = await settingHandler.call(cloudFlare, value, handlerOptions)
+
+    // List handlers report every record/rule separately, single settings return the API response
+    if (Array.isArray(result)) {
+      settingReport.items = result
+      settingReport.changed = result.filter(item => item.action !== 'no-op' && item.status === 'ok').length
+      settingReport.unchanged = result.filter(item => item.action === 'no-op').length
+      if (result.some(item => item.status === 'failed')) {
+        settingReport.status = 'failed'
+      }
+    } else {
+      settingReport.response = result
+    }
+  } catch (error) {
+    cloudFlare.logger.error(`Failed to set Cloudflare setting ${key} for domain ${site.domain}: ${error.message}\n`)
+    settingReport.status = 'failed'
+    settingReport.error = error.message
+    settingReport.errorCode = error.code
+    settingReport.statusCode = error.statusCode
+    settingReport.response = error.response
+  }
+
+  settingReport.durationMs = Date.now() - startedAt
+  return settingReport
+}
+
+async function exportCloudflareSettings (config, { templatize = false, concurrency = 1 } = {}) {
+  if (config.domains === undefined) {
+    throw new Error('No domains defined in config')
+  }
+
+  const rateLimiter = createRateLimiter()
+
+  return runZones(config.domains, concurrency, async (site, logger) => {
+    const cloudFlare = createCloudFlare(site, rateLimiter, logger, getAccountId(config, site))
+    const { zoneId } = await resolveZone(cloudFlare, { ...site, createZone: false }, getAccountId(config, site))
+    const settings = await exportZoneSettings(cloudFlare, { templatize })
+
+    return { domains: [{ domain: site.domain, zoneId }], settings }
+  })
+}
+
+// Converts the page rules of the config into ruleset rules. With `apply` the rules are added to every zone, and with
+// `removePageRules` the page rules that were fully translated are deleted once their zone's rulesets are updated
+async function migratePageRules (config, { apply = false, removePageRules = false, concurrency = 1 } = {}) {
+  if (config.domains === undefined) {
+    throw new Error('No domains defined in config')
+  }
+
+  assertValidConfig(config)
+
+  // The shared page rules are converted as written, each zone gets the conversion of its own resolved page rules
+  const { rulesets, unsupported } = convertPageRules(normalizeSettings(config.settings).pageRules ?? [])
+
+  if (!apply) {
+    return { rulesets: escapeWildcardReferences(rulesets), unsupported }
+  }
+
+  const sitesSettings = resolveSitesSettings(config)
+
+  const rateLimiter = createRateLimiter()
+  const startedAt = Date.now()
+  const report = { status: 'ok', durationMs: 0, sites: [] }
+
+  report.sites = await runZones(config.domains, concurrency, async (site, logger) => {
+    const cloudFlare = createCloudFlare(site, rateLimiter, logger, getAccountId(config, site))
+    const siteStartedAt = Date.now()
+    const settingReports = []
+
+    try {
+      await resolveZone(cloudFlare, { ...site, createZone: false }, getAccountId(config, site))
+    } catch (error) {
+      logger.error(`Failed to resolve Cloudflare zone for domain ${site.domain}: ${error.message}\n`)
+      settingReports.push({ setting: 'zone', status: 'failed', error: error.message, errorCode: error.code, statusCode: error.statusCode })
+    }
+
+    if (settingReports.length === 0) {
+      const siteMigration = convertPageRules(sitesSettings.get(site).pageRules ?? [])
+      settingReports.push(await applySetting(cloudFlare, site, 'rulesets', siteMigration.rulesets, {}))
+
+      if (removePageRules && settingReports[0].status === 'ok') {
+        settingReports.push(await applySetting(cloudFlare, site, 'pageRules', siteMigration.convertedPageRules, {}, CloudFlare.prototype.deletePageRules))
+      }
+    }
+
+    return {
+      domain: site.domain,
+      zoneId: cloudFlare.zoneId ?? null,
+      status: settingReports.some(settingReport => settingReport.status === 'failed') ? 'failed' : 'ok',
+      durationMs: Date.now() - siteStartedAt,
+      settings: settingReports
+    }
+  })
+
+  return { rulesets: escapeWildcardReferences(rulesets), unsupported, report: completeReport(report, startedAt, false) }
+}
+
+// The config every site ends up with: its settings overrides merged in and its variables substituted
+function resolveSiteConfigs (config) {
+  assertValidConfig(config)
+
+  return config.domains.map(site => {
+    const { vars, settings, ...siteConfig } = site
+    return { ...siteConfig, settings: resolveSiteSettings(config, site) }
+  })
+}
+
+module.exports = {
+  applyCloudflareSettings,
+  planCloudflareSettings,
+  exportCloudflareSettings,
+  snapshotCloudflareSettings,
+  restoreCloudflareSettings,
+  migratePageRules,
+  detectDrift,
+  validateConfig,
+  loadConfig,
+  resolveConfig,
+  resolveSiteConfigs,
+  CloudflareApiError,
+  ProvisioningError,
+  template
+}
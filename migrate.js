@@ -0,0 +1,131 @@
+'use strict'
+
+const redirectPhase = 'http_request_dynamic_redirect'
+const cachePhase = 'http_request_cache_settings'
+const configPhase = 'http_config_settings'
+const originPhase = 'http_request_origin'
+
+// Page rule actions and the ruleset phase and action parameters each of them translates to
+const actionConverters = {
+  cache_level: value => {
+    switch (value) {
+      case 'bypass':
+        return [cachePhase, { cache: false }]
+      case 'cache_everything':
+        return [cachePhase, { cache: true }]
+      case 'simplified':
+        return [cachePhase, { cache_key: { custom_key: { query_string: { exclude: { all: true } } } } }]
+      // Standard caching is what Cloudflare does without a rule
+      case 'aggressive':
+        return [cachePhase, {}]
+      default:
+        return null
+    }
+  },
+  edge_cache_ttl: value => [cachePhase, { edge_ttl: { mode: 'override_origin', default: value } }],
+  origin_error_page_pass_thru: value => [cachePhase, { origin_error_page_passthru: value === 'on' }],
+  ssl: value => [configPhase, { ssl: value }],
+  security_level: value => [configPhase, { security_level: value }],
+  browser_check: value => [configPhase, { bic: value === 'on' }],
+  disable_security: () => [configPhase, { email_obfuscation: false, server_side_excludes: false, hotlink_protection: false }],
+  host_header_override: value => [originPhase, { host_header: value }],
+  resolve_override: value => [originPhase, { origin: { host: value } }]
+}
+
+// Translates page rules into ruleset rules per phase. Page rules stop at the first match while every matching
+// ruleset rule applies with later rules winning, so the rules are emitted from the lowest priority page rule up.
+// Redirect rules stop at the first match like page rules, they keep the page rule order
+function convertPageRules (pageRules) {
+  const rulesets = {}
+  const unsupported = []
+  const convertedPageRules = []
+
+  const addRule = (phase, rule) => {
+    rulesets[phase] ??= []
+    rulesets[phase].push(rule)
+  }
+
+  for (const pageRule of [...pageRules].reverse()) {
+    const pattern = pageRule.targets.map(({ constraint }) => constraint?.value).join(', ')
+    const expression = pageRuleExpression(pageRule)
+    const enabled = pageRule.status !== 'disabled'
+    const description = `Page rule ${pattern}`
+
+    if (expression === null) {
+      unsupported.push({ target: pattern, action: null, reason: 'only "matches" URL targets can be translated' })
+      continue
+    }
+
+    const actionParameters = {}
+    let isComplete = true
+
+    for (const { id, value } of pageRule.actions) {
+      if (id === 'forwarding_url') {
+        addRule(redirectPhase, { description, expression, action: 'redirect', action_parameters: forwardingParameters(pageRule, value), enabled })
+        continue
+      }
+
+      const converted = actionConverters[id]?.(value) ?? null
+      if (converted === null) {
+        unsupported.push({ target: pattern, action: id, reason: `${id} ${JSON.stringify(value ?? null)} has no ruleset equivalent` })
+        isComplete = false
+        continue
+      }
+
+      const [phase, parameters] = converted
+      actionParameters[phase] = { ...actionParameters[phase], ...parameters }
+    }
+
+    for (const [phase, parameters] of Object.entries(actionParameters)) {
+      if (Object.keys(parameters).length === 0) continue
+
+      const action = { [cachePhase]: 'set_cache_settings', [configPhase]: 'set_config', [originPhase]: 'route' }[phase]
+      addRule(phase, { description, expression, action, action_parameters: parameters, enabled })
+    }
+
+    if (isComplete) {
+      convertedPageRules.push(pageRule)
+    }
+  }
+
+  rulesets[redirectPhase]?.reverse()
+
+  return { rulesets, unsupported, convertedPageRules: convertedPageRules.reverse() }
+}
+
+function pageRuleExpression (pageRule) {
+  const patterns = pageRule.targets.map(({ target, constraint }) => {
+    return target === 'url' && constraint?.operator === 'matches' ? wildcardPattern(constraint.value) : null
+  })
+
+  if (patterns.length === 0 || patterns.includes(null)) return null
+  return patterns.map(pattern => `(http.request.full_uri wildcard ${JSON.stringify(pattern)})`).join(' or ')
+}
+
+// Page rule URLs may leave out the scheme, full URIs of rulesets always have one
+function wildcardPattern (value) {
+  if (value.startsWith('*') || /^https?:\/\//.test(value)) return value
+  return `http*://${value}`
+}
+
+// $1, $2... in the forwarding URL refer to the wildcards of the page rule URL, wildcard_replace writes them as
+// ${1}, ${2}... A scheme wildcard added in front of them shifts their numbers by one
+function forwardingParameters (pageRule, { url, status_code: statusCode }) {
+  const value = pageRule.targets[0].constraint.value
+  const pattern = wildcardPattern(value)
+  const shift = pattern === value ? 0 : 1
+  const replacement = url.replace(/\$(\d)/g, (match, index) => `\${${Number(index) + shift}}`)
+
+  const targetUrl = /\$\d/.test(url)
+    ? { expression: `wildcard_replace(http.request.full_uri, ${JSON.stringify(pattern)}, ${JSON.stringify(replacement)})` }
+    : { value: url }
+
+  return { from_value: { status_code: statusCode, target_url: targetUrl, preserve_query_string: true } }
+}
+
+// Printed rules are meant for a config file, where $${ is the escaped ${ that variable substitution never touches
+function escapeWildcardReferences (rulesets) {
+  return JSON.parse(JSON.stringify(rulesets).replace(/\$\{(\d+)\}/g, (match, index) => `$\${${index}}`))
+}
+
+module.exports = { convertPageRules, escapeWildcardReferences }
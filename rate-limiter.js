@@ -0,0 +1,83 @@
+'use strict'
+
+// Rate used after the first 429 when no rate limit was configured (Cloudflare allows 1200 requests per 5 minutes)
+const THROTTLED_REQUESTS_PER_SECOND = 4
+const MIN_REQUESTS_PER_SECOND = 0.2
+const RECOVERY_STEP = 0.1
+
+class RateLimiter {
+  constructor ({ requestsPerSecond = Infinity, burst = 1 } = {}) {
+    this.maxRate = requestsPerSecond
+    this.rate = requestsPerSecond
+    this.burst = burst
+    this.tokens = burst
+    this.lastRefillAt = Date.now()
+    this.pausedUntil = 0
+    this.queue = Promise.resolve()
+  }
+
+  // Resolves once a request may be sent, waiters are served in order
+  acquire () {
+    const ticket = this.queue.then(() => this.takeToken())
+    this.queue = ticket.catch(() => {})
+    return ticket
+  }
+
+  async takeToken () {
+    for (;;) {
+      const now = Date.now()
+
+      if (now < this.pausedUntil) {
+        await delay(this.pausedUntil - now)
+        continue
+      }
+
+      if (this.rate === Infinity) return
+
+      this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefillAt) / 1000 * this.rate)
+      this.lastRefillAt = now
+
+      if (this.tokens >= 1) {
+        this.tokens -= 1
+        return
+      }
+
+      await delay(Math.ceil((1 - this.tokens) / this.rate * 1000))
+    }
+  }
+
+  pause (delayMs) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs)
+  }
+
+  throttle () {
+    const rate = this.rate === Infinity ? THROTTLED_REQUESTS_PER_SECOND : this.rate
+    this.rate = Math.max(MIN_REQUESTS_PER_SECOND, rate / 2)
+    this.tokens = Math.min(this.tokens, 0)
+  }
+
+  recover () {
+    if (this.rate < this.maxRate) {
+      this.rate = Math.min(this.maxRate, this.rate + RECOVERY_STEP)
+    }
+  }
+
+  // Cloudflare reports the remaining quota as `ratelimit: "default";r=<remaining>;t=<seconds until reset>`
+  update (headers = {}) {
+    const rateLimit = headers.ratelimit
+    if (typeof rateLimit !== 'string') return
+
+    const remaining = Number(/;r=(\d+)/.exec(rateLimit)?.[1])
+    const resetSeconds = Number(/;t=(\d+)/.exec(rateLimit)?.[1])
+
+    if (remaining === 0 && resetSeconds > 0) {
+      this.pause(resetSeconds * 1000)
+    }
+  }
+}
+
+function delay (delayMs) {
+  return new Promise(resolve => setTimeout(resolve, delayMs))
+}
+
+module.exports = RateLimiter
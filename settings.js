@@ -0,0 +1,352 @@
+'use strict'
+
+// Aliases of zone settings: config keys that are applied as the Cloudflare zone setting ID behind each of them
+const zoneSettingIds = {
+  ssl: 'ssl',
+  ipV6: 'ipv6',
+  emailObfuscation: 'email_obfuscation',
+  brotli: 'brotli',
+  polish: 'polish',
+  minify: 'minify',
+  http2Prioritization: 'h2_prioritization',
+  prefetchURLs: 'prefetch_preload',
+  http2: 'http2',
+  http3: 'http3',
+  '0-RTT': '0rtt',
+  hotlinkProtection: 'hotlink_protection'
+}
+
+// Zone phases whose entrypoint ruleset can be managed in the rulesets section
+const rulesetPhases = [
+  'http_request_firewall_custom',
+  'http_request_firewall_managed',
+  'http_request_dynamic_redirect',
+  'http_request_transform',
+  'http_request_late_transform',
+  'http_response_headers_transform',
+  'http_request_cache_settings',
+  'http_request_origin',
+  'http_config_settings',
+  'http_ratelimit',
+  'http_custom_errors',
+  'http_response_compression'
+]
+
+// Settings that manage the entrypoint ruleset of a single phase
+const rulesetPhaseSettings = {
+  firewallRules: 'http_request_firewall_custom',
+  redirectRules: 'http_request_dynamic_redirect'
+}
+
+const settingGroups = ['speedOptimization', 'network', 'traffic', 'scrapeShield']
+
+// Named map forms: name -> definition (or a list of definitions), the name fills the identity field
+const namedSettingIdentities = {
+  dnsRecords: 'name',
+  firewallRules: 'description',
+  redirectRules: 'description',
+  workers: null,
+  workerScripts: 'name',
+  pageRules: null
+}
+
+// Settings in the shape they are applied: groups flattened, zone setting aliases moved into zoneSettings and named
+// maps turned into lists. Conflicting definitions are collected when a conflicts list is given, or else thrown
+function normalizeSettings (settings, conflicts, path = '$.settings') {
+  const normalizedSettings = Object.fromEntries(Object.entries(flattenSettings(settings, conflicts, path)).map(([key, value]) => {
+    return [key, normalizeNamedSetting(key, value)]
+  }))
+
+  // A phase managed by both the rulesets section and its own setting would be written twice
+  for (const [key, phase] of Object.entries(rulesetPhaseSettings)) {
+    if (normalizedSettings[key] !== undefined && normalizedSettings.rulesets?.[phase] !== undefined) {
+      reportConflict(conflicts, `${path}.rulesets.${phase}`, `Cloudflare ruleset phase ${phase} is defined by both ${key} and rulesets`)
+    }
+  }
+
+  return normalizedSettings
+}
+
+// Moves grouped settings to the top level and aliased zone settings into zoneSettings, so that settings merge
+// whichever shape they are written in
+function flattenSettings (settings, conflicts, path = '$.settings') {
+  const flatSettings = {}
+
+  const addZoneSetting = (settingId, value, settingPath) => {
+    flatSettings.zoneSettings ??= {}
+    if (Object.hasOwn(flatSettings.zoneSettings, settingId)) {
+      reportConflict(conflicts, settingPath, `Cloudflare zone setting ${settingId} is defined more than once`)
+      return
+    }
+    flatSettings.zoneSettings[settingId] = value
+  }
+
+  const addSetting = (key, value, settingPath) => {
+    if (key === 'zoneSettings' && isPlainObject(value)) {
+      for (const [settingId, settingValue] of Object.entries(value)) {
+        addZoneSetting(settingId, settingValue, `${settingPath}.${settingId}`)
+      }
+      return
+    }
+    if (Object.hasOwn(zoneSettingIds, key)) {
+      addZoneSetting(zoneSettingIds[key], value, settingPath)
+      return
+    }
+    if (Object.hasOwn(flatSettings, key)) {
+      reportConflict(conflicts, settingPath, `Cloudflare setting ${key} is defined more than once`)
+      return
+    }
+    flatSettings[key] = value
+  }
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (settingGroups.includes(key) && isPlainObject(value)) {
+      for (const [groupKey, groupValue] of Object.entries(value)) {
+        addSetting(groupKey, groupValue, `${path}.${key}.${groupKey}`)
+      }
+    } else {
+      addSetting(key, value, `${path}.${key}`)
+    }
+  }
+
+  return flatSettings
+}
+
+function reportConflict (conflicts, path, message) {
+  if (conflicts === undefined) {
+    throw new Error(message)
+  }
+  conflicts.push({ path, message })
+}
+
+function normalizeNamedSetting (key, value) {
+  // Rulesets hold the rules of every phase, each of them in list or named map form
+  if (key === 'rulesets' && value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([phase, rules]) => [phase, normalizeNamedRules(rules, 'description')]))
+  }
+
+  if (!Object.hasOwn(namedSettingIdentities, key) || value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return value
+  }
+
+  return normalizeNamedRules(value, namedSettingIdentities[key])
+}
+
+function normalizeNamedRules (value, identityField) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return value
+  }
+
+  return Object.entries(value).flatMap(([name, definitions]) => {
+    return [].concat(definitions).map(definition => {
+      return identityField ? { [identityField]: name, ...definition } : definition
+    })
+  })
+}
+
+// Resource types that can be pruned: resources on the zone that are not in the config get deleted
+const prunableSettings = ['dnsRecords', 'firewallRules', 'redirectRules', 'rulesets', 'workers', 'pageRules']
+
+function normalizePruneOptions (prune = {}) {
+  const pruneOptions = {}
+
+  for (const [key, value] of Object.entries(prune)) {
+    if (value === true) {
+      pruneOptions[key] = { protect: [] }
+    } else if (value && value.enabled !== false) {
+      pruneOptions[key] = { protect: value.protect ?? [] }
+    }
+  }
+
+  return pruneOptions
+}
+
+// Settings of a site: its `settings` deep-merged over the shared ones, then its variables substituted. Both are
+// flattened first, so a site can override a grouped or aliased setting in either shape
+function resolveSiteSettings (config, site, { conflicts, sitePath = '$.site' } = {}) {
+  const settings = mergeSettings(
+    flattenSettings(config.settings ?? {}, conflicts, '$.settings'),
+    flattenSettings(site.settings ?? {}, conflicts, `${sitePath}.settings`)
+  )
+  const vars = resolveVars({ domain: site.domain, ...config.vars, ...site.vars })
+
+  return substituteVariables(settings, vars, 'settings')
+}
+
+// Variables may refer to the environment and to other variables, which are resolved first
+function resolveVars (declaredVars) {
+  const resolvedVars = {}
+  const resolving = []
+  const vars = {}
+
+  const resolveVar = name => {
+    if (Object.hasOwn(resolvedVars, name)) return resolvedVars[name]
+    if (resolving.includes(name)) {
+      throw new Error(`Variable ${name} refers to itself: ${[...resolving.slice(resolving.indexOf(name)), name].join(' -> ')}`)
+    }
+
+    resolving.push(name)
+    resolvedVars[name] = substituteVariables(declaredVars[name], vars, `vars.${name}`)
+    resolving.pop()
+    return resolvedVars[name]
+  }
+
+  for (const name of Object.keys(declaredVars)) {
+    Object.defineProperty(vars, name, { enumerable: true, get: () => resolveVar(name) })
+  }
+
+  return Object.fromEntries(Object.keys(declaredVars).map(name => [name, resolveVar(name)]))
+}
+
+// Merges an override over a base, for site overrides as well as for configs extending others:
+// - objects are merged key by key, a key set to { $remove: true } is removed
+// - lists of rules are merged by rule identity (ref, or else description, or the domain of a site), a rule of the
+//   override is merged over the base rule with the same identity or appended, { ..., $remove: true } removes it
+//   and an empty list clears the base list
+// - other lists and values of the override replace the base value
+// Merging two site overrides keeps the markers, they still have to remove their values from the shared settings
+function mergeSettings (base, override, { keepMarkers = false } = {}) {
+  const isRuleList = Array.isArray(base) && Array.isArray(override) && override.length > 0 &&
+    [...base, ...override].every(item => itemIdentity(item) !== undefined)
+
+  if (isRuleList) {
+    return mergeItems(base, override, keepMarkers)
+  }
+
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return keepMarkers ? override : removeMarkers(override)
+  }
+
+  const merged = { ...base }
+  for (const [key, value] of Object.entries(override)) {
+    if (isRemovalMarker(value) && !keepMarkers) {
+      delete merged[key]
+    } else if (Object.hasOwn(base, key) && !isRemovalMarker(value)) {
+      merged[key] = mergeSettings(base[key], value, { keepMarkers })
+    } else {
+      merged[key] = keepMarkers ? value : removeMarkers(value)
+    }
+  }
+
+  return merged
+}
+
+function mergeItems (base, override, keepMarkers) {
+  const merged = [...base]
+
+  for (const item of override) {
+    const index = merged.findIndex(baseItem => itemIdentity(baseItem) === itemIdentity(item))
+
+    if (item.$remove === true && !keepMarkers) {
+      if (index !== -1) merged.splice(index, 1)
+    } else if (item.$remove === true) {
+      merged.splice(index === -1 ? merged.length : index, 1, item)
+    } else if (index !== -1) {
+      merged[index] = mergeSettings(merged[index], item, { keepMarkers })
+    } else {
+      merged.push(keepMarkers ? item : removeMarkers(item))
+    }
+  }
+
+  return merged
+}
+
+function itemIdentity (item) {
+  return isPlainObject(item) ? item.ref ?? item.description ?? item.domain : undefined
+}
+
+function isRemovalMarker (value) {
+  return isPlainObject(value) && value.$remove === true && Object.keys(value).length === 1
+}
+
+// Markers without a base value to remove have nothing to do
+function removeMarkers (value) {
+  if (Array.isArray(value)) {
+    return value.filter(item => !(isPlainObject(item) && item.$remove === true)).map(removeMarkers)
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, item]) => !isRemovalMarker(item))
+      .map(([key, item]) => [key, removeMarkers(item)]))
+  }
+
+  return value
+}
+
+// Replaces ${name}, ${name:-default}, ${env:NAME} and ${env:NAME:-default} in every key and string value, and the
+// legacy $DOMAIN. $${ stays a literal ${. A string that is a single reference takes the type of the variable
+function substituteVariables (value, vars, path) {
+  if (typeof value === 'string') {
+    return substituteString(value, vars, path)
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => substituteVariables(item, vars, `${path}[${index}]`))
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+      const substitutedKey = String(substituteString(key, vars, path))
+      return [substitutedKey, substituteVariables(item, vars, `${path}.${key}`)]
+    }))
+  }
+
+  return value
+}
+
+// Only references in this grammar are variables, anything else in ${} such as the ${1} of a wildcard_replace
+// expression is left as written
+const reference = String.raw`\$\{\s*(env:)?([A-Za-z_][\w.-]*)(?::-([^}]*?))?\s*\}`
+const variablePattern = new RegExp(String.raw`\$\$\{|${reference}|\$DOMAIN`, 'g')
+const singleReferencePattern = new RegExp(`^${reference}$`)
+
+function substituteString (value, vars, path) {
+  const singleReference = singleReferencePattern.exec(value)
+  if (singleReference !== null) {
+    return resolveVariable(singleReference.slice(1), vars, path)
+  }
+
+  return value.replace(variablePattern, (match, ...parsed) => {
+    if (match === '$${') return '${'
+    if (match === '$DOMAIN') return vars.domain
+    return String(resolveVariable(parsed, vars, path))
+  })
+}
+
+function resolveVariable ([isEnv, name, defaultValue], vars, path) {
+  const value = isEnv ? process.env[name] : vars[name]
+
+  if (value !== undefined) return value
+  if (defaultValue !== undefined) return defaultValue
+
+  throw new Error(`Undefined ${isEnv ? 'environment variable' : 'variable'} ${name} in ${path}`)
+}
+
+function isPlainObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function templatizeDomainName (settings, domainName) {
+  return JSON.parse(JSON.stringify(settings).replaceAll(domainName, '$DOMAIN'))
+}
+
+module.exports = {
+  zoneSettingIds,
+  rulesetPhases,
+  rulesetPhaseSettings,
+  settingGroups,
+  namedSettingIdentities,
+  normalizeSettings,
+  flattenSettings,
+  normalizeNamedSetting,
+  prunableSettings,
+  normalizePruneOptions,
+  resolveSiteSettings,
+  resolveVars,
+  mergeSettings,
+  removeMarkers,
+  itemIdentity,
+  substituteVariables,
+  templatizeDomainName
+}
@@ -0,0 +1,736 @@
+'use strict'
+
+const fs = require('node:fs')
+const { loadTlsClientAuth } = require('./certificates')
+const {
+  zoneSettingIds,
+  rulesetPhases,
+  settingGroups,
+  namedSettingIdentities,
+  prunableSettings,
+  normalizeSettings,
+  flattenSettings,
+  resolveSiteSettings,
+  resolveVars,
+  substituteVariables,
+  mergeSettings,
+  removeMarkers,
+  itemIdentity
+} = require('./settings')
+
+const onOff = { type: 'string', enum: ['on', 'off'] }
+
+const dnsRecordTypes = [
+  'A', 'AAAA', 'CAA', 'CERT', 'CNAME', 'DNSKEY', 'DS', 'HTTPS', 'LOC', 'MX', 'NAPTR',
+  'NS', 'OPENPGPKEY', 'PTR', 'SMIMEA', 'SRV', 'SSHFP', 'SVCB', 'TLSA', 'TXT', 'URI'
+]
+
+const rulesetActions = [
+  'block', 'challenge', 'compress_response', 'ddos_dynamic', 'execute', 'force_connection_close',
+  'js_challenge', 'log', 'log_custom_field', 'managed_challenge', 'redirect', 'rewrite', 'route',
+  'score', 'serve_error', 'set_cache_settings', 'set_config', 'skip'
+]
+
+const pageRuleActionValues = {
+  always_use_https: { type: 'any' },
+  automatic_https_rewrites: onOff,
+  browser_cache_ttl: { type: 'integer', minimum: 0 },
+  browser_check: onOff,
+  bypass_cache_on_cookie: { type: 'string' },
+  cache_by_device_type: onOff,
+  cache_deception_armor: onOff,
+  cache_key_fields: { type: 'object' },
+  cache_level: { type: 'string', enum: ['bypass', 'basic', 'simplified', 'aggressive', 'cache_everything'] },
+  cache_on_cookie: { type: 'string' },
+  disable_apps: { type: 'any' },
+  disable_performance: { type: 'any' },
+  disable_railgun: { type: 'any' },
+  disable_security: { type: 'any' },
+  disable_zaraz: { type: 'any' },
+  edge_cache_ttl: { type: 'integer', minimum: 1 },
+  email_obfuscation: onOff,
+  explicit_cache_control: onOff,
+  forwarding_url: {
+    type: 'object',
+    required: ['url', 'status_code'],
+    additionalProperties: false,
+    properties: {
+      url: { type: 'string' },
+      status_code: { type: 'integer', enum: [301, 302] }
+    }
+  },
+  host_header_override: { type: 'string' },
+  ip_geolocation: onOff,
+  minify: {
+    type: 'object',
+    additionalProperties: false,
+    properties: { css: onOff, html: onOff, js: onOff }
+  },
+  mirage: onOff,
+  opportunistic_encryption: onOff,
+  origin_error_page_pass_thru: onOff,
+  polish: { type: 'string', enum: ['off', 'lossless', 'lossy'] },
+  resolve_override: { type: 'string' },
+  respect_strong_etags: onOff,
+  response_buffering: onOff,
+  rocket_loader: onOff,
+  security_level: { type: 'string', enum: ['off', 'essentially_off', 'low', 'medium', 'high', 'under_attack'] },
+  server_side_exclude: onOff,
+  sort_query_string_for_cache: onOff,
+  ssl: { type: 'string', enum: ['off', 'flexible', 'full', 'strict'] },
+  true_client_ip_header: onOff,
+  waf: onOff
+}
+
+const dnsRecordSchema = {
+  type: 'object',
+  required: ['type', 'name'],
+  additionalProperties: false,
+  properties: {
+    type: { type: 'string', enum: dnsRecordTypes },
+    name: { type: 'string' },
+    content: { type: 'string' },
+    data: { type: 'object' },
+    ttl: { type: 'integer', validate: validateTTL },
+    proxied: { type: 'boolean' },
+    priority: { type: 'integer', minimum: 0, maximum: 65535 },
+    comment: { type: 'string' },
+    tags: { type: 'array', items: { type: 'string' } },
+    settings: { type: 'object' }
+  },
+  validate: (value, path, errors) => {
+    if (value.content === undefined && value.data === undefined) {
+      errors.push({ path, message: 'must define either content or data' })
+    }
+  }
+}
+
+// The expression can also be given in the filter of the deprecated firewall rules API
+const rulesetRuleSchema = {
+  type: 'object',
+  required: ['action'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string' },
+    ref: { type: 'string' },
+    description: { type: 'string' },
+    expression: { type: 'string', minLength: 1 },
+    filter: {
+      type: 'object',
+      required: ['expression'],
+      properties: {
+        expression: { type: 'string', minLength: 1 }
+      }
+    },
+    action: { type: 'string', enum: rulesetActions },
+    action_parameters: { type: 'object' },
+    enabled: { type: 'boolean' },
+    logging: { type: 'object' },
+    ratelimit: { type: 'object' }
+  },
+  validate: (value, path, errors) => {
+    if (value.expression === undefined && value.filter === undefined) {
+      errors.push({ path: joinPath(path, 'expression'), message: 'is required' })
+    } else if (value.expression !== undefined && value.filter?.expression !== undefined) {
+      errors.push({ path, message: 'must define either expression or filter.expression' })
+    }
+  }
+}
+
+const redirectRuleSchema = {
+  ...rulesetRuleSchema,
+  required: ['action', 'action_parameters'],
+  properties: {
+    ...rulesetRuleSchema.properties,
+    action: { type: 'string', enum: ['redirect'] }
+  }
+}
+
+// Rules of a phase in list form, or in named map form with the name as description
+const rulesetsSchema = {
+  type: 'object',
+  validate: (value, path, errors) => {
+    for (const [phase, rules] of Object.entries(value)) {
+      const phasePath = joinPath(path, phase)
+      const ruleSchema = phase === 'http_request_dynamic_redirect' ? redirectRuleSchema : rulesetRuleSchema
+
+      if (!rulesetPhases.includes(phase)) {
+        errors.push({ path: phasePath, message: `is not a supported ruleset phase, expected one of ${rulesetPhases.join(', ')}` })
+      } else if (isPlainObject(rules)) {
+        validateNamedDefinitions(rules, ruleSchema, 'description', phasePath, errors)
+      } else {
+        validateValue(rules, { type: 'array', items: ruleSchema }, phasePath, errors)
+      }
+    }
+  }
+}
+
+const pageRuleSchema = {
+  type: 'object',
+  required: ['targets', 'actions'],
+  additionalProperties: false,
+  properties: {
+    targets: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['target', 'constraint'],
+        additionalProperties: false,
+        properties: {
+          target: { type: 'string', enum: ['url'] },
+          constraint: {
+            type: 'object',
+            required: ['operator', 'value'],
+            additionalProperties: false,
+            properties: {
+              operator: { type: 'string', enum: ['matches', 'contains', 'equals', 'not_equal', 'not_contain'] },
+              value: { type: 'string', minLength: 1 }
+            }
+          }
+        }
+      }
+    },
+    actions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string', enum: Object.keys(pageRuleActionValues) },
+          value: { type: 'any' }
+        },
+        validate: (value, path, errors) => {
+          const valueSchema = pageRuleActionValues[value.id]
+          if (valueSchema !== undefined && value.value !== undefined) {
+            validateValue(value.value, valueSchema, path + '.value', errors)
+          }
+        }
+      }
+    },
+    status: { type: 'string', enum: ['active', 'disabled'] },
+    priority: { type: 'integer', minimum: 1 }
+  }
+}
+
+const workerRouteSchema = {
+  type: 'object',
+  required: ['pattern'],
+  additionalProperties: false,
+  properties: {
+    // Host with optional wildcard and path, the scheme is not part of a route pattern
+    pattern: { type: 'string', pattern: /^[^\s/:]+(\/\S*)?$/ },
+    script: { type: 'string', nullable: true }
+  }
+}
+
+const stringMap = { type: 'object', validate: validateStringValues }
+
+const workerScriptSchema = {
+  type: 'object',
+  required: ['name', 'path'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', pattern: /^[a-z0-9_-]+$/ },
+    path: { type: 'string', validate: validateReadableFile },
+    format: { type: 'string', enum: ['module', 'service-worker'] },
+    compatibilityDate: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+    compatibilityFlags: { type: 'array', items: { type: 'string' } },
+    bindings: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        kvNamespaces: stringMap,
+        vars: { type: 'object' },
+        secrets: stringMap
+      }
+    }
+  }
+}
+
+// A file path or inline PEM string, or one of { path }, { pem }, { env }, { base64 }
+const pemSourceSchema = {
+  type: 'any',
+  validate: (value, path, errors) => {
+    if (typeof value === 'string') {
+      validateValue(value, { type: 'string', minLength: 1 }, path, errors)
+      return
+    }
+
+    const sources = isPlainObject(value) ? Object.keys(value) : []
+    if (sources.length !== 1 || !['path', 'pem', 'env', 'base64'].includes(sources[0])) {
+      errors.push({ path, message: 'must be a file path, a PEM string or one of { path }, { pem }, { env }, { base64 }' })
+      return
+    }
+
+    validateValue(value[sources[0]], { type: 'string', minLength: 1 }, joinPath(path, sources[0]), errors)
+  }
+}
+
+const tlsClientAuthSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    clientKey: pemSourceSchema,
+    clientCert: pemSourceSchema,
+    caCert: pemSourceSchema,
+    minValidityDays: { type: 'integer', minimum: 0 },
+    clear: { type: 'boolean' }
+  },
+  validate: (value, path, errors) => {
+    const sources = ['clientKey', 'clientCert', 'caCert'].filter(key => value[key] !== undefined)
+    if (sources.length > 0 && sources.length < 3) {
+      errors.push({ path, message: 'clientKey, clientCert and caCert must be defined together' })
+      return
+    }
+
+    // The certificates are checked only once their sources are valid
+    if (sources.length === 3 && !errors.some(error => error.path.startsWith(path))) {
+      try {
+        loadTlsClientAuth(value)
+      } catch (e) {
+        errors.push({ path, message: e.message })
+      }
+    }
+  }
+}
+
+const settingSchemas = {
+  ssl: { type: 'string', enum: ['off', 'flexible', 'full', 'strict'] },
+  ipV6: onOff,
+  emailObfuscation: onOff,
+  brotli: onOff,
+  dnsRecords: { type: 'array', items: dnsRecordSchema },
+  firewallRules: { type: 'array', items: rulesetRuleSchema },
+  redirectRules: { type: 'array', items: redirectRuleSchema },
+  rulesets: rulesetsSchema,
+  polish: { type: 'string', enum: ['off', 'lossless', 'lossy'] },
+  minify: {
+    type: 'object',
+    additionalProperties: false,
+    properties: { css: onOff, html: onOff, js: onOff }
+  },
+  http2Prioritization: { type: 'string', enum: ['on', 'off', 'custom'] },
+  prefetchURLs: onOff,
+  http2: onOff,
+  http3: onOff,
+  '0-RTT': onOff,
+  argoSmartRouting: onOff,
+  workers: { type: 'array', items: workerRouteSchema },
+  workerScripts: { type: 'array', items: workerScriptSchema },
+  pageRules: { type: 'array', items: pageRuleSchema },
+  hotlinkProtection: onOff,
+  tlsClientAuth: tlsClientAuthSchema
+}
+
+// Zone settings are keyed by Cloudflare setting ID, the ones with an alias are validated like the alias
+const zoneSettingSchemas = Object.fromEntries(Object.entries(zoneSettingIds).map(([key, settingId]) => [settingId, settingSchemas[key]]))
+
+settingSchemas.zoneSettings = {
+  type: 'object',
+  validate: (value, path, errors) => {
+    for (const [settingId, settingValue] of Object.entries(value)) {
+      if (!/^[a-z0-9_]+$/.test(settingId)) {
+        errors.push({ path: joinPath(path, settingId), message: 'is not a Cloudflare zone setting ID' })
+        continue
+      }
+      validateValue(settingValue, zoneSettingSchemas[settingId] ?? { type: 'any' }, joinPath(path, settingId), errors)
+    }
+  }
+}
+
+const pruneSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: Object.fromEntries(prunableSettings.map(key => [key, {
+    type: 'any',
+    validate: (value, path, errors) => {
+      if (typeof value === 'boolean') return
+      validateValue(value, {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          enabled: { type: 'boolean' },
+          protect: { type: 'array', items: { type: 'object' } }
+        }
+      }, path, errors)
+    }
+  }]))
+}
+
+const varsSchema = {
+  type: 'object',
+  validate: (value, path, errors) => {
+    for (const [key, item] of Object.entries(value)) {
+      if (!['string', 'number', 'boolean'].includes(typeof item)) {
+        errors.push({ path: joinPath(path, key), message: 'must be a string, number or boolean' })
+      }
+    }
+  }
+}
+
+const siteSchema = {
+  type: 'object',
+  required: ['domain'],
+  properties: {
+    domain: { type: 'string', minLength: 1 },
+    zoneId: { type: 'string', minLength: 1 },
+    accountId: { type: 'string', minLength: 1 },
+    token: { type: 'string' },
+    vars: varsSchema,
+    settings: { type: 'object' },
+    createZone: {
+      type: 'any',
+      validate: (value, path, errors) => {
+        if (typeof value === 'boolean') return
+        validateValue(value, {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            type: { type: 'string', enum: ['full', 'partial'] },
+            plan: { type: 'string' },
+            jumpStart: { type: 'boolean' }
+          }
+        }, path, errors)
+      }
+    }
+  }
+}
+
+function validateConfig (config) {
+  const errors = []
+
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    errors.push({ path: '$', message: 'must be an object' })
+    return errors
+  }
+
+  if (config.extends !== undefined) {
+    errors.push({ path: '$.extends', message: 'must be resolved with resolveConfig before the config is used' })
+  }
+
+  validateValue(config.enabled, { type: 'boolean', optional: true }, '$.enabled', errors)
+  validateValue(config.accountId, { type: 'string', optional: true }, '$.accountId', errors)
+  validateValue(config.rulesetMode, { type: 'string', enum: ['merge', 'replace'], optional: true }, '$.rulesetMode', errors)
+  validateValue(config.vars, { ...varsSchema, optional: true }, '$.vars', errors)
+  validateValue(config.domains, { type: 'array', minItems: 1, items: siteSchema }, '$.domains', errors)
+  validateValue(config.prune, { ...pruneSchema, optional: true }, '$.prune', errors)
+
+  if (validateValue(config.settings, { type: 'object' }, '$.settings', errors)) {
+    validateSitesSettings(config, errors)
+  }
+
+  return errors
+}
+
+// Validates the settings every site ends up with. An error found for some of the sites only names them
+function validateSitesSettings (config, errors) {
+  const sites = Array.isArray(config.domains)
+    ? config.domains.filter(site => isPlainObject(site) && typeof site.domain === 'string' && hasType(site.settings ?? {}, 'object'))
+    : []
+
+  if (sites.length === 0) {
+    validateSettings(config.settings, '$.settings', errors)
+    normalizeSettings(config.settings, errors)
+    return
+  }
+
+  const sitesByError = new Map()
+  const workerScriptsBySite = new Map()
+  for (const site of sites) {
+    const sitePath = `$.domains[${config.domains.indexOf(site)}]`
+    const siteErrors = []
+
+    try {
+      // The shared and the site settings are validated where they are written, with the variables of the site
+      const vars = resolveVars({ domain: site.domain, ...config.vars, ...site.vars })
+      const sharedSettings = removeMarkers(substituteVariables(config.settings, vars, '$.settings'))
+      const siteSettings = removeMarkers(substituteVariables(site.settings ?? {}, vars, `${sitePath}.settings`))
+      validateSettings(sharedSettings, '$.settings', siteErrors)
+      validateSettings(completeSiteSettings(siteSettings, flattenSettings(sharedSettings, [])), `${sitePath}.settings`, siteErrors)
+
+      if (siteErrors.length === 0) {
+        // Settings defined twice, in the shared or the site settings or by their combination, are reported as
+        // conflicts where the second definition is
+        const settings = resolveSiteSettings(config, site, { conflicts: siteErrors, sitePath })
+        const normalizedSettings = normalizeSettings(settings, siteErrors)
+        validateRuleIdentities(normalizedSettings, config.rulesetMode, siteErrors)
+        workerScriptsBySite.set(site, normalizedSettings.workerScripts ?? [])
+      }
+    } catch (e) {
+      siteErrors.push({ path: sitePath, message: e.message })
+    }
+
+    for (const error of siteErrors) {
+      const key = `${error.path} ${error.message}`
+      if (!sitesByError.has(key)) sitesByError.set(key, { error, domains: [] })
+      sitesByError.get(key).domains.push(site.domain)
+    }
+  }
+
+  for (const { error, domains } of sitesByError.values()) {
+    errors.push(domains.length === sites.length ? error : { ...error, message: `${error.message} (domain ${domains.join(', ')})` })
+  }
+
+  validateSharedWorkerScripts(config, workerScriptsBySite, errors)
+}
+
+// A site can override part of a shared definition, such as only `enabled` of a rule, so its definitions are
+// validated merged over the shared ones they override
+function completeSiteSettings (siteSettings, sharedSettings) {
+  return Object.fromEntries(Object.entries(siteSettings).map(([key, value]) => {
+    if (settingGroups.includes(key) && isPlainObject(value)) {
+      return [key, completeSiteSettings(value, sharedSettings)]
+    }
+
+    const sharedValue = Object.hasOwn(zoneSettingIds, key) ? sharedSettings.zoneSettings?.[zoneSettingIds[key]] : sharedSettings[key]
+    return [key, completeOverride(value, sharedValue)]
+  }))
+}
+
+function completeOverride (value, sharedValue) {
+  if (Array.isArray(value) && Array.isArray(sharedValue)) {
+    if (![...sharedValue, ...value].every(item => itemIdentity(item) !== undefined)) {
+      return value
+    }
+
+    return value.map(item => {
+      const sharedItem = sharedValue.find(candidate => itemIdentity(candidate) === itemIdentity(item))
+      return sharedItem === undefined ? item : mergeSettings(sharedItem, item)
+    })
+  }
+
+  if (isPlainObject(value) && isPlainObject(sharedValue)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+      return [key, Object.hasOwn(sharedValue, key) ? completeOverride(item, sharedValue[key]) : item]
+    }))
+  }
+
+  return value
+}
+
+// Worker scripts belong to the account and are uploaded once for all of its zones, so every site of an account
+// has to declare a script the same way. Sites whose account is only found from their zone are not compared
+function validateSharedWorkerScripts (config, workerScriptsBySite, errors) {
+  const definitions = new Map()
+
+  for (const [site, workerScripts] of workerScriptsBySite) {
+    const accountId = site.accountId ?? config.accountId ?? process.env.CLOUDFLARE_ACCOUNT_ID
+    if (accountId === undefined) continue
+
+    for (const workerScript of workerScripts) {
+      const key = `${accountId}/${workerScript.name}`
+      const definition = definitions.get(key)
+
+      if (definition === undefined) {
+        definitions.set(key, { domain: site.domain, value: JSON.stringify(workerScript) })
+      } else if (definition.value !== JSON.stringify(workerScript) && !definition.reported) {
+        definition.reported = true
+        errors.push({
+          path: '$.settings.workerScripts',
+          message: `worker script ${workerScript.name} is declared differently for domains ${definition.domain} and ${site.domain}, zones of the same account share one script`
+        })
+      }
+    }
+  }
+}
+
+// Merge mode finds declared rules in the ruleset by ref or else description, so each rule needs one of its own
+function validateRuleIdentities (settings, rulesetMode = 'merge', errors) {
+  const ruleLists = [
+    ['$.settings.firewallRules', settings.firewallRules],
+    ['$.settings.redirectRules', settings.redirectRules],
+    ...Object.entries(settings.rulesets ?? {}).map(([phase, rules]) => [joinPath('$.settings.rulesets', phase), rules])
+  ]
+
+  for (const [path, rules] of ruleLists) {
+    const identities = new Set()
+
+    for (const [index, rule] of (rules ?? []).entries()) {
+      const identity = ruleIdentity(rule)
+
+      if (identity === undefined) {
+        if (rulesetMode !== 'replace') {
+          errors.push({ path, message: `rule ${index + 1} needs a ref or description to be merged into the ruleset` })
+        }
+      } else if (identities.has(identity)) {
+        errors.push({ path, message: `more than one rule has the ${identity}` })
+      } else {
+        identities.add(identity)
+      }
+    }
+  }
+}
+
+function ruleIdentity (rule) {
+  if (rule.ref !== undefined) return `ref ${JSON.stringify(rule.ref)}`
+  if (rule.description !== undefined) return `description ${JSON.stringify(rule.description)}`
+  return undefined
+}
+
+function validateSettings (settings, path, errors) {
+  for (const [key, value] of Object.entries(settings)) {
+    if (settingGroups.includes(key)) {
+      if (validateValue(value, { type: 'object' }, joinPath(path, key), errors)) {
+        for (const [groupKey, groupValue] of Object.entries(value)) {
+          validateSetting(groupKey, groupValue, joinPath(joinPath(path, key), groupKey), errors)
+        }
+      }
+    } else {
+      validateSetting(key, value, joinPath(path, key), errors)
+    }
+  }
+}
+
+function validateSetting (key, value, path, errors) {
+  const schema = settingSchemas[key]
+
+  if (schema === undefined) {
+    errors.push({ path, message: `unsupported Cloudflare setting ${key}` })
+    return
+  }
+
+  if (Object.hasOwn(namedSettingIdentities, key) && isPlainObject(value)) {
+    validateNamedDefinitions(value, schema.items, namedSettingIdentities[key], path, errors)
+    return
+  }
+
+  validateValue(value, schema, path, errors)
+}
+
+// Named map form: validate every definition with its name filled in as identity
+function validateNamedDefinitions (value, itemSchema, identityField, path, errors) {
+  for (const [name, definitions] of Object.entries(value)) {
+    const namePath = joinPath(path, name)
+    const items = Array.isArray(definitions) ? definitions : [definitions]
+
+    items.forEach((definition, index) => {
+      const itemPath = Array.isArray(definitions) ? `${namePath}[${index}]` : namePath
+      const item = identityField && isPlainObject(definition) ? { [identityField]: name, ...definition } : definition
+      validateValue(item, itemSchema, itemPath, errors)
+    })
+  }
+}
+
+// Returns true when the value has the expected type, so callers can descend into it
+function validateValue (value, schema, path, errors) {
+  if (value === undefined) {
+    if (!schema.optional) {
+      errors.push({ path, message: 'is required' })
+    }
+    return false
+  }
+  if (value === null && schema.nullable) return true
+  if (schema.type !== 'any' && !hasType(value, schema.type)) {
+    errors.push({ path, message: `must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}` })
+    return false
+  }
+
+  if (schema.enum !== undefined && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}` })
+  }
+
+  if (schema.pattern !== undefined && !schema.pattern.test(value)) {
+    errors.push({ path, message: `has an invalid format: ${JSON.stringify(value)}` })
+  }
+
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, message: 'must not be empty' })
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be at least ${schema.minimum}` })
+  }
+
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path, message: `must be at most ${schema.maximum}` })
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must contain at least ${schema.minItems} item(s)` })
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors))
+    }
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'is required' })
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key]
+
+      if (propertySchema !== undefined) {
+        validateValue(propertyValue, propertySchema, joinPath(path, key), errors)
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: 'is not a supported property' })
+      }
+    }
+  }
+
+  if (schema.validate !== undefined) {
+    schema.validate(value, path, errors)
+  }
+
+  return true
+}
+
+function validateTTL (value, path, errors) {
+  if (value !== 1 && (value < 60 || value > 86400)) {
+    errors.push({ path, message: 'must be 1 (automatic) or between 60 and 86400' })
+  }
+}
+
+function validateStringValues (value, path, errors) {
+  for (const [key, item] of Object.entries(value)) {
+    validateValue(item, { type: 'string' }, joinPath(path, key), errors)
+  }
+}
+
+function validateReadableFile (value, path, errors) {
+  try {
+    fs.accessSync(value, fs.constants.R_OK)
+  } catch (e) {
+    errors.push({ path, message: `cannot read file ${value}: ${e.code ?? e.message}` })
+  }
+}
+
+function hasType (value, type) {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value)
+    case 'object':
+      return isPlainObject(value)
+    case 'integer':
+      return Number.isInteger(value)
+    case 'number':
+      return typeof value === 'number'
+    case 'string':
+      return typeof value === 'string'
+    case 'boolean':
+      return typeof value === 'boolean'
+    default:
+      return false
+  }
+}
+
+function isPlainObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function joinPath (path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`
+}
+
+function formatValidationErrors (errors) {
+  return errors.map(({ path, message }) => `${path} ${message}`).join('\n')
+}
+
+module.exports = { validateConfig, formatValidationErrors, settingSchemas }